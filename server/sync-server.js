@@ -0,0 +1,157 @@
+// Reference sync server for Momentum.
+//
+// Stores one document per sync key and hands it back to any client holding
+// that key. Documents are the app's encrypted user records, so the server
+// never sees habits, moods or reflections in the clear. Merging happens in
+// the app; the server only refuses writes based on an outdated version.
+//
+// A record still carries what another device needs to sign in: the salted
+// password hash and the data key wrapped with the password. Whoever can read
+// the data directory can try passwords against those offline, so only run the
+// server where its storage is trusted.
+//
+//   GET    /v1/document   -> 200 { version, updatedAt, document } | 404
+//   PUT    /v1/document   { baseVersion, document } -> 200 { version } | 409
+//   DELETE /v1/document   -> 204
+//
+// Requests authenticate with `Authorization: Bearer <sync key>`. Documents are
+// filed under a SHA-256 of the key, so the key itself is never written to disk.
+//
+// Usage: npm run sync-server
+//   PORT            port to listen on (default 8787)
+//   SYNC_DATA_DIR   where documents are kept (default ./sync-data)
+//   ALLOWED_ORIGIN  value for Access-Control-Allow-Origin (default *)
+
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || 'sync-data');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const MIN_KEY_LENGTH = 32;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const documentPath = (key) => path.join(DATA_DIR, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+const readDocument = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Written to a temporary file first so a crash never leaves half a document.
+const writeDocument = async (file, record) => {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(record));
+  await fs.rename(temp, file);
+};
+
+// Version checks and writes for one document run one at a time.
+const locks = new Map();
+const withLock = (file, task) => {
+  const run = (locks.get(file) || Promise.resolve()).then(task, task);
+  const settled = run.catch(() => {});
+  locks.set(file, settled);
+  settled.then(() => {
+    if (locks.get(file) === settled) locks.delete(file);
+  });
+  return run;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Document too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Cache-Control': 'no-store',
+    ...(body !== undefined && { 'Content-Type': 'application/json' })
+  });
+  res.end(body !== undefined ? JSON.stringify(body) : undefined);
+};
+
+const handleDocument = async (req, res, file) => {
+  if (req.method === 'GET') {
+    const record = await readDocument(file);
+    return record ? send(res, 200, record) : send(res, 404, { error: 'Not found' });
+  }
+
+  if (req.method === 'PUT') {
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      if (error.status) throw error;
+      return send(res, 400, { error: 'Body must be JSON' });
+    }
+    if (!isPlainObject(payload) || !isPlainObject(payload.document) || !Number.isInteger(payload.baseVersion)) {
+      return send(res, 400, { error: 'Expected { baseVersion, document }' });
+    }
+
+    return withLock(file, async () => {
+      const current = await readDocument(file);
+      const currentVersion = current ? current.version : 0;
+      if (payload.baseVersion !== currentVersion) {
+        return send(res, 409, { error: 'Version conflict', version: currentVersion });
+      }
+      const record = { version: currentVersion + 1, updatedAt: new Date().toISOString(), document: payload.document };
+      await writeDocument(file, record);
+      return send(res, 200, { version: record.version });
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    return withLock(file, async () => {
+      await fs.rm(file, { force: true });
+      return send(res, 204);
+    });
+  }
+
+  return send(res, 405, { error: 'Method not allowed' });
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/health') return send(res, 200, { ok: true });
+    if (pathname !== '/v1/document') return send(res, 404, { error: 'Not found' });
+
+    const [scheme, key] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !key || key.length < MIN_KEY_LENGTH) {
+      return send(res, 401, { error: 'A sync key is required' });
+    }
+
+    return await handleDocument(req, res, documentPath(key));
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) send(res, error.status || 500, { error: error.status ? error.message : 'Server error' });
+  }
+});
+
+fs.mkdir(DATA_DIR, { recursive: true }).then(() => {
+  server.listen(PORT, () => console.log(`Momentum sync server on http://localhost:${PORT}, storing data in ${DATA_DIR}`));
+});
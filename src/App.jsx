@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
 
 /* 
  * ═══════════════════════════════════════════════════════════════════
@@ -9,13 +9,74 @@ import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, R
  */
 
 // UTILITIES & HELPERS
-const hashPassword = async (password) => {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hash = await crypto.subtle.digest('SHA-256', data);
+const bytesToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const randomBase64 = (length) => bytesToBase64(crypto.getRandomValues(new Uint8Array(length)));
+
+// Passwords are stored as `{ algorithm, hash, iterations, salt, value }` with a
+// random salt per user. Older accounts hold a bare unsalted SHA-256 hex string,
+// which is still accepted and replaced on the next successful sign-in.
+const PASSWORD_HASH_ITERATIONS = 600000;
+
+const hashPassword = async (password, params = {}) => {
+  const { iterations = PASSWORD_HASH_ITERATIONS, salt = randomBase64(16) } = params;
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations }, material, 256);
+  return { algorithm: 'PBKDF2', hash: 'SHA-256', iterations, salt, value: bytesToBase64(bits) };
+};
+
+const hashLegacyPassword = async (password) => {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
   return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
 };
 
+const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+};
+
+const verifyPassword = async (password, stored) => {
+  if (typeof stored === 'string') return constantTimeEqual(await hashLegacyPassword(password), stored);
+  if (stored?.algorithm !== 'PBKDF2' || stored.hash !== 'SHA-256') return false;
+  const { value } = await hashPassword(password, stored);
+  return constantTimeEqual(value, stored.value);
+};
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const findUsersByEmail = (users, email) => users.filter(u => normalizeEmail(u.email) === normalizeEmail(email));
+
+const passwordNeedsRehash = (stored) => typeof stored === 'string' || stored.iterations < PASSWORD_HASH_ITERATIONS;
+
+const AVATAR_GRADIENTS = [
+  ['#6366f1', '#8b5cf6'],
+  ['#ec4899', '#f97316'],
+  ['#0ea5e9', '#22d3ee'],
+  ['#10b981', '#84cc16'],
+  ['#f59e0b', '#ef4444'],
+  ['#8b5cf6', '#0ea5e9']
+];
+
+const getInitials = (name) => (name || '').trim().split(/\s+/).slice(0, 2).map(part => part.charAt(0)).join('').toUpperCase() || '?';
+
+// Picked from the user id so each profile keeps its colour on every device.
+const getAvatarGradient = (id) => {
+  const hash = [...id].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  const [from, to] = AVATAR_GRADIENTS[hash % AVATAR_GRADIENTS.length];
+  return `linear-gradient(135deg, ${from}, ${to})`;
+};
+
 const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
 const getDateKey = (date) => {
@@ -23,6 +84,41 @@ const getDateKey = (date) => {
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 };
 
+const downloadFile = (filename, content, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns, so keep the URL alive until then.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const eachDateKey = (fromKey, toKey) => {
+  const keys = [];
+  const end = parseDateKey(toKey);
+  for (let d = parseDateKey(fromKey); d <= end; d.setDate(d.getDate() + 1)) {
+    keys.push(getDateKey(d));
+  }
+  return keys;
+};
+
+const addDaysToKey = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return getDateKey(date);
+};
+
+// Counts calendar days, so a daylight saving change in between does not shift it.
+const daysBetweenKeys = (fromKey, toKey) => Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / 86400000);
+
 const getDaysDifference = (date1, date2) => {
   const d1 = new Date(date1);
   const d2 = new Date(date2);
@@ -31,6 +127,336 @@ const getDaysDifference = (date1, date2) => {
   return Math.floor((d1 - d2) / (1000 * 60 * 60 * 24));
 };
 
+// Quantity habits log an amount per day (`completions[dateKey] = 5`) and
+// duration habits log minutes the same way; a day is done once it reaches the
+// habit's `target`. Other habits store `true`, which also counts as a met
+// target when found on a measured habit (e.g. imported).
+const isQuantityHabit = (habit) => habit.type === 'quantity';
+
+const isDurationHabit = (habit) => habit.type === 'duration';
+
+const isMeasuredHabit = (habit) => isQuantityHabit(habit) || isDurationHabit(habit);
+
+// Avoidance habits ("stop smoking") log slips instead of completions, as
+// `slips[dateKey] = count`. Every day from `cleanSince` (or the day the habit
+// was created) up to today without a slip is a clean day.
+const isAvoidHabit = (habit) => habit.type === 'avoid';
+
+const getCleanStart = (habit) => habit.cleanSince || getDateKey(habit.createdAt);
+
+const isCleanDay = (habit, dateKey, today = getDateKey(new Date())) => (
+  dateKey >= getCleanStart(habit) && dateKey <= today && !habit.slips?.[dateKey]
+);
+
+const countSlips = (habit) => Object.values(habit.slips || {}).reduce((sum, count) => sum + count, 0);
+
+// Clean runs are the gaps between slips, so the current one grows every day
+// without any input and is always counted up to today.
+const calculateCleanStreaks = (habit, referenceDate = new Date()) => {
+  const today = getDateKey(referenceDate);
+  const start = getCleanStart(habit);
+  let runStart = start;
+  let longestStreak = 0;
+  Object.keys(habit.slips || {}).filter(dateKey => dateKey >= start && dateKey <= today).sort().forEach(dateKey => {
+    longestStreak = Math.max(longestStreak, daysBetweenKeys(runStart, dateKey));
+    runStart = addDaysToKey(dateKey, 1);
+  });
+  const currentStreak = runStart > today ? 0 : daysBetweenKeys(runStart, today) + 1;
+  return { currentStreak, longestStreak: Math.max(longestStreak, currentStreak) };
+};
+
+// Clean runs before each slip, most recent first.
+const getRelapseHistory = (habit) => {
+  const start = getCleanStart(habit);
+  let runStart = start;
+  return Object.keys(habit.slips || {}).filter(dateKey => dateKey >= start).sort().map(dateKey => {
+    const entry = { date: dateKey, count: habit.slips[dateKey], cleanDaysBefore: Math.max(0, daysBetweenKeys(runStart, dateKey)) };
+    runStart = addDaysToKey(dateKey, 1);
+    return entry;
+  }).reverse();
+};
+
+// Stored streaks only change when a habit is edited, but missed days, streak
+// freezes and clean runs also depend on today's date, so streaks are worked
+// out fresh for display.
+const getLiveStreaks = (habit) => calculateStreaks(habit, habit.completions || {});
+
+// A skipped day (illness, travel) stores `SKIPPED` in place of a completion.
+// It counts as neither done nor missed.
+const SKIPPED = 'skip';
+
+const isSkipped = (habit, dateKey, completions = habit.completions || {}) => completions[dateKey] === SKIPPED;
+
+const isCompletionDone = (habit, value) => {
+  if (value === SKIPPED) return false;
+  if (!isMeasuredHabit(habit)) return Boolean(value);
+  return value === true || (typeof value === 'number' && value >= habit.target);
+};
+
+const isHabitDoneOn = (habit, dateKey) => (isAvoidHabit(habit)
+  ? isCleanDay(habit, dateKey)
+  : isCompletionDone(habit, habit.completions?.[dateKey]));
+
+const getLoggedAmount = (habit, dateKey) => {
+  const value = habit.completions?.[dateKey];
+  if (value === true) return habit.target;
+  return typeof value === 'number' ? value : 0;
+};
+
+const formatDuration = (minutes) => {
+  if (minutes > 0 && minutes < 1) return `${Math.max(1, Math.round(minutes * 60))} sec`;
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  if (!hours) return `${rounded} min`;
+  return rounded % 60 ? `${hours}h ${rounded % 60}m` : `${hours}h`;
+};
+
+const formatAmount = (habit, amount) => (isDurationHabit(habit)
+  ? formatDuration(amount)
+  : `${Number(amount.toFixed(2))} ${habit.unit || ''}`.trim());
+
+// Switching a habit between yes/no and quantity tracking keeps the same days done.
+const convertCompletions = (before, after) => {
+  if (isMeasuredHabit(before) === isMeasuredHabit(after)) return before.completions || {};
+  const converted = {};
+  Object.entries(before.completions || {}).forEach(([dateKey, value]) => {
+    if (isMeasuredHabit(after)) {
+      converted[dateKey] = value === true ? after.target : value;
+    } else if (isCompletionDone(before, value)) {
+      converted[dateKey] = true;
+    } else if (value === SKIPPED) {
+      converted[dateKey] = SKIPPED;
+    }
+  });
+  return converted;
+};
+
+// Pauses (`pauses: [{ from, to }]`, inclusive date keys) cover holidays and
+// the like. Paused days are never due, so they neither extend nor break a
+// streak and are left out of completion rates. Pausing all habits adds the
+// same range to each of them.
+const isPausedOn = (habit, dateKey) => (habit.pauses || []).some(({ from, to }) => dateKey >= from && dateKey <= to);
+
+const countPausedDays = (habit, fromKey, toKey) => {
+  const days = new Set();
+  (habit.pauses || []).forEach(({ from, to }) => {
+    const start = from > fromKey ? from : fromKey;
+    const end = to < toKey ? to : toKey;
+    if (start <= end) eachDateKey(start, end).forEach(dateKey => days.add(dateKey));
+  });
+  return days.size;
+};
+
+const getActivePause = (habit, dateKey = getDateKey(new Date())) => (habit.pauses || [])
+  .filter(({ to }) => to >= dateKey)
+  .sort((a, b) => a.from.localeCompare(b.from))[0] || null;
+
+const formatPause = ({ from, to }) => {
+  const format = (dateKey) => parseDateKey(dateKey).toLocaleDateString();
+  return from === to ? format(from) : `${format(from)} – ${format(to)}`;
+};
+
+// Quota habits ("gym 3 times a week") can be done on any days, as long as
+// `quotaCount` days are done within each `quotaPeriod`: a week starting on
+// Sunday, or a calendar month. Their streaks count successful periods.
+const QUOTA_PERIOD_DAYS = { week: 7, month: 31 };
+
+const isQuotaHabit = (habit) => habit.frequency === 'quota';
+
+const getPeriodStart = (habit, dateKey) => {
+  const date = parseDateKey(dateKey);
+  if (habit.quotaPeriod === 'month') date.setDate(1);
+  else date.setDate(date.getDate() - date.getDay());
+  return getDateKey(date);
+};
+
+const getNextPeriodStart = (habit, periodStart) => {
+  const date = parseDateKey(periodStart);
+  if (habit.quotaPeriod === 'month') date.setMonth(date.getMonth() + 1);
+  else date.setDate(date.getDate() + 7);
+  return getDateKey(date);
+};
+
+// The first day a quota applies: the day the habit was created, or an earlier
+// check-off added by hand or by an import.
+const getQuotaStart = (habit, completions) => [habit.createdAt && getDateKey(habit.createdAt), ...Object.keys(completions)]
+  .filter(dateKey => DATE_KEY_PATTERN.test(dateKey || '')).sort()[0];
+
+// Paused and skipped days, and days before the habit started, lower a
+// period's quota in proportion. A period excused throughout asks for nothing
+// and neither extends nor breaks a streak. The quota never asks for more days
+// than the period has left, so "31 times a month" can be met in February.
+const getQuotaRequired = (habit, periodStart, completions = habit.completions || {}) => {
+  const end = addDaysToKey(getNextPeriodStart(habit, periodStart), -1);
+  const quotaStart = getQuotaStart(habit, completions);
+  const from = quotaStart && quotaStart > periodStart ? quotaStart : periodStart;
+  if (from > end) return 0;
+  const skipped = Object.keys(completions)
+    .filter(key => key >= from && key <= end && completions[key] === SKIPPED && !isPausedOn(habit, key)).length;
+  const length = daysBetweenKeys(periodStart, end) + 1;
+  if (from === periodStart && !habit.pauses?.length && skipped === 0) return Math.min(habit.quotaCount, length);
+  const excused = daysBetweenKeys(periodStart, from) + countPausedDays(habit, from, end) + skipped;
+  return Math.min(Math.ceil((habit.quotaCount * (length - excused)) / length), length - excused);
+};
+
+const getQuotaProgress = (habit, dateKey, completions = habit.completions || {}) => {
+  const start = getPeriodStart(habit, dateKey);
+  const end = addDaysToKey(getNextPeriodStart(habit, start), -1);
+  const done = Object.keys(completions).filter(key => key >= start && key <= end && isCompletionDone(habit, completions[key])).length;
+  const required = getQuotaRequired(habit, start, completions);
+  return { start, end, done, required, remaining: Math.max(0, required - done) };
+};
+
+// The period in progress only adds to a streak once its quota is met; until
+// then the streak still stands on the periods before it.
+const calculateQuotaStreaks = (habit, completions, referenceDate = new Date()) => {
+  const doneDates = Object.keys(completions).filter(key => isCompletionDone(habit, completions[key])).sort();
+  if (doneDates.length === 0) return { currentStreak: 0, longestStreak: habit.prunedLongestStreak || 0 };
+  const counts = {};
+  doneDates.forEach(dateKey => {
+    const period = getPeriodStart(habit, dateKey);
+    counts[period] = (counts[period] || 0) + 1;
+  });
+  const current = getPeriodStart(habit, getDateKey(referenceDate));
+  let run = 0;
+  let longestStreak = 0;
+  for (let period = getPeriodStart(habit, doneDates[0]); period <= current; period = getNextPeriodStart(habit, period)) {
+    const required = getQuotaRequired(habit, period, completions);
+    if (required === 0) continue;
+    if ((counts[period] || 0) >= required) run++;
+    else if (period < current) run = 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+  return { currentStreak: run, longestStreak: Math.max(longestStreak, habit.prunedLongestStreak || 0) };
+};
+
+// Finished periods count in full and the first one only from the day the
+// habit started; the one in progress counts once its quota is met, so an
+// unfinished week does not drag the rate down.
+const getQuotaCompletionRate = (habit, referenceDate = new Date()) => {
+  const quotaStart = getQuotaStart(habit, habit.completions || {});
+  if (!quotaStart) return 0;
+  const current = getPeriodStart(habit, getDateKey(referenceDate));
+  let achieved = 0;
+  let expected = 0;
+  for (let period = getPeriodStart(habit, quotaStart); period <= current; period = getNextPeriodStart(habit, period)) {
+    const { done, required } = getQuotaProgress(habit, period);
+    if (period === current && done < required) break;
+    achieved += Math.min(done, required);
+    expected += required;
+  }
+  return expected > 0 ? (achieved / expected) * 100 : 0;
+};
+
+// Interval habits ("water the plants every 3 days") come due every
+// `intervalDays` days counted from `intervalStart`. Only due days count toward
+// their streaks and completion rate.
+const MAX_INTERVAL_DAYS = 365;
+
+const isIntervalHabit = (habit) => habit.frequency === 'interval';
+
+const isIntervalDueOn = (habit, dateKey) => {
+  const days = daysBetweenKeys(habit.intervalStart, dateKey);
+  return days >= 0 && days % habit.intervalDays === 0;
+};
+
+const getIntervalDueKeys = (habit, toKey) => {
+  const keys = [];
+  for (let dateKey = habit.intervalStart; dateKey <= toKey; dateKey = addDaysToKey(dateKey, habit.intervalDays)) {
+    if (!isPausedOn(habit, dateKey)) keys.push(dateKey);
+  }
+  return keys;
+};
+
+const getIntervalCompletionRate = (habit, referenceDate = new Date()) => {
+  const today = getDateKey(referenceDate);
+  const dueKeys = getIntervalDueKeys(habit, today)
+    .filter(dateKey => !isSkipped(habit, dateKey) && (dateKey < today || isHabitDoneOn(habit, dateKey)));
+  const done = dueKeys.filter(dateKey => isHabitDoneOn(habit, dateKey)).length;
+  return dueKeys.length > 0 ? (done / dueKeys.length) * 100 : 0;
+};
+
+const getStreakUnit = (habit) => (isQuotaHabit(habit) ? habit.quotaPeriod : 'day');
+
+const describeFrequency = (habit) => {
+  if (isAvoidHabit(habit)) return 'Quitting';
+  if (isQuotaHabit(habit)) return `${habit.quotaCount}× a ${habit.quotaPeriod}`;
+  if (isIntervalHabit(habit)) return habit.intervalDays === 2 ? 'Every other day' : `Every ${habit.intervalDays} days`;
+  return habit.frequency === 'weekly' ? 'Weekly' : 'Daily';
+};
+
+// Whether the habit's schedule asks for it on `dateKey`, before pauses and
+// skips. Quota habits can be done on any day.
+const isScheduledOn = (habit, dateKey) => {
+  if (habit.frequency === 'weekly') return Boolean(habit.selectedDays?.includes(parseDateKey(dateKey).getDay()));
+  if (isIntervalHabit(habit)) return isIntervalDueOn(habit, dateKey);
+  return true;
+};
+
+const isHabitDueOn = (habit, date) => {
+  const dateKey = getDateKey(date);
+  return !isPausedOn(habit, dateKey) && isScheduledOn(habit, dateKey);
+};
+
+// Streak freezes forgive up to `streakFreezes` missed days a month per habit.
+// They are applied automatically, and only when there is a streak to save.
+const MAX_STREAK_FREEZES = 5;
+
+// Walks the scheduled days of a daily, "Specific Days" or interval habit up to
+// `toKey`. Done days extend the run; paused and skipped days leave it as it is,
+// and so does `toKey` itself until it has ended. `runs` holds the streak on
+// each day and `frozen` the missed days a freeze covered.
+const walkScheduledDays = (habit, completions, toKey) => {
+  const doneDates = Object.keys(completions).filter(key => isCompletionDone(habit, completions[key])).sort();
+  const runs = {};
+  const frozen = [];
+  const freezesUsed = {};
+  let run = 0;
+  let longestStreak = 0;
+  if (doneDates.length === 0 || doneDates[0] > toKey) return { runs, frozen, currentStreak: 0, longestStreak: 0 };
+  eachDateKey(doneDates[0], toKey).forEach(dateKey => {
+    const scheduled = isScheduledOn(habit, dateKey);
+    const excused = completions[dateKey] === SKIPPED || isPausedOn(habit, dateKey) || dateKey === toKey;
+    if (scheduled && isCompletionDone(habit, completions[dateKey])) {
+      run++;
+    } else if (scheduled && !excused && run > 0) {
+      const month = dateKey.slice(0, 7);
+      if ((freezesUsed[month] || 0) < (habit.streakFreezes || 0)) {
+        freezesUsed[month] = (freezesUsed[month] || 0) + 1;
+        frozen.push(dateKey);
+      } else {
+        run = 0;
+      }
+    }
+    runs[dateKey] = run;
+    longestStreak = Math.max(longestStreak, run);
+  });
+  return { runs, frozen, currentStreak: run, longestStreak };
+};
+
+const getFrozenDays = (habit) => (habit.streakFreezes > 0 && !isAvoidHabit(habit) && !isQuotaHabit(habit)
+  ? walkScheduledDays(habit, habit.completions || {}, getDateKey(new Date())).frozen
+  : []);
+
+const calculateStreaks = (habit, completions, referenceDate) => {
+  if (isAvoidHabit(habit)) return calculateCleanStreaks(habit);
+  if (isQuotaHabit(habit)) return calculateQuotaStreaks(habit, completions, referenceDate);
+  const { currentStreak, longestStreak } = walkScheduledDays(habit, completions, getDateKey(referenceDate || new Date()));
+  return { currentStreak, longestStreak: Math.max(longestStreak, habit.prunedLongestStreak || 0) };
+};
+
+const moodOptions = [
+  { emoji: '😄', label: 'Amazing', value: 5 },
+  { emoji: '🙂', label: 'Good', value: 4 },
+  { emoji: '😐', label: 'Okay', value: 3 },
+  { emoji: '😕', label: 'Not Great', value: 2 },
+  { emoji: '😢', label: 'Difficult', value: 1 }
+];
+
+const isArchived = (habit) => Boolean(habit.archivedAt);
+
+const getActiveHabits = (user) => user.habits.filter(habit => !isArchived(habit));
+
 const motivationalQuotes = [
   "Success is the sum of small efforts repeated day in and day out, {name}!",
   "You don't have to be great to start, but you have to start to be great, {name}!",
@@ -45,1416 +471,4107 @@ const motivationalQuotes = [
 ];
 
 // STORAGE MANAGER
-class StorageManager {
-  constructor() {
-    this.STORAGE_KEY = 'habitTracker_v2';
+const LEGACY_STORAGE_KEY = 'habitTracker_v2';
+
+// SCHEMA MIGRATIONS
+// Saves without a `schemaVersion` are version 0. To change the persisted shape,
+// bump SCHEMA_VERSION and append a migration that upgrades the previous version.
+const SCHEMA_VERSION = 1;
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Fill in defaults for fields older saves may be missing',
+    migrate: (data) => ({
+      ...data,
+      users: (data.users || []).map(user => ({
+        ...user,
+        moods: user.moods || {},
+        reflections: user.reflections || {},
+        habits: (user.habits || []).map(habit => ({
+          ...habit,
+          frequency: habit.frequency || 'daily',
+          selectedDays: habit.selectedDays || [],
+          completions: habit.completions || {},
+          currentStreak: habit.currentStreak || 0,
+          longestStreak: habit.longestStreak || 0
+        }))
+      }))
+    })
   }
+];
 
-  async loadData() {
-    try {
-      const stored = localStorage.getItem(this.STORAGE_KEY);
-      if (stored) return JSON.parse(stored);
-    } catch (error) {
-      console.log('Loading fresh data');
-    }
-    return { users: [], currentUser: null, theme: 'dark' };
+const migrateData = (data) => {
+  const fromVersion = data.schemaVersion || 0;
+  if (fromVersion > SCHEMA_VERSION) {
+    console.warn(`Data schema v${fromVersion} is newer than this app (v${SCHEMA_VERSION})`);
+    return data;
   }
 
-  async saveData(data) {
-    try {
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
-      return true;
-    } catch (error) {
-      console.error('Save error:', error);
-      return false;
-    }
+  return migrations
+    .filter(m => m.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .reduce((current, m) => ({ ...m.migrate(current), schemaVersion: m.version }), data);
+};
+
+const createEmptyData = () => ({ users: [], currentUser: null, theme: 'dark', schemaVersion: SCHEMA_VERSION });
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
   }
-}
+  return JSON.stringify(value) ?? 'null';
+};
 
-const storage = new StorageManager();
+const normalizeForCompare = ({ users = [], ...appFields }) => ({
+  ...appFields,
+  users: users.map(({ habits = [], moods = {}, reflections = {}, ...user }) => ({ ...user, habits, moods, reflections }))
+});
 
-// MAIN APP
-export default function HabitTracker() {
-  const [appData, setAppData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [currentUser, setCurrentUser] = useState(null);
-  const [theme, setTheme] = useState('dark');
-  const [currentView, setCurrentView] = useState('dashboard');
-  const [selectedDate, setSelectedDate] = useState(new Date());
-  const [selectedMonth, setSelectedMonth] = useState(new Date());
-  const [showAddHabit, setShowAddHabit] = useState(false);
-  const [editingHabit, setEditingHabit] = useState(null);
-  const [selectedHabitForAnalytics, setSelectedHabitForAnalytics] = useState(null);
+// DATA VALIDATION
+// Repairs what it can and skips records it cannot make sense of. Every change
+// is reported so the user can be told about it before anything is saved.
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-  useEffect(() => {
-    const init = async () => {
-      const data = await storage.loadData();
-      setAppData(data);
-      setTheme(data.theme || 'dark');
-      
-      if (data.currentUser) {
-        const user = data.users.find(u => u.id === data.currentUser);
-        if (user) setCurrentUser(user);
-      }
-      
-      setLoading(false);
-      
-      if ('Notification' in window) {
-        await Notification.requestPermission();
-      }
-    };
-    init();
-  }, []);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
 
-  useEffect(() => {
-    if (appData && !loading) {
-      storage.saveData(appData);
+const cleanDateMap = (map, isValidValue, path, label, issues) => {
+  if (map === undefined) return {};
+  if (!isPlainObject(map)) {
+    issues.push({ path, message: `Reset unreadable ${label}` });
+    return {};
+  }
+  const cleaned = {};
+  let dropped = 0;
+  Object.entries(map).forEach(([dateKey, value]) => {
+    if (DATE_KEY_PATTERN.test(dateKey) && isValidValue(value)) {
+      cleaned[dateKey] = value;
+    } else {
+      dropped++;
     }
-  }, [appData, loading]);
+  });
+  if (dropped > 0) issues.push({ path, message: `Dropped ${dropped} invalid ${label} entr${dropped === 1 ? 'y' : 'ies'}` });
+  return cleaned;
+};
 
-  const signUp = async (name, email, password) => {
-    const hashedPassword = await hashPassword(password);
-    const newUser = {
-      id: generateId(),
-      name,
-      email,
-      password: hashedPassword,
-      createdAt: new Date().toISOString(),
-      habits: [],
-      moods: {},
-      reflections: {}
-    };
-    
-    const updatedData = {
-      ...appData,
-      users: [...appData.users, newUser],
-      currentUser: newUser.id
-    };
-    
-    setAppData(updatedData);
-    setCurrentUser(newUser);
-    return true;
+const validateHabit = (habit, path, seenIds, issues) => {
+  if (!isPlainObject(habit)) {
+    issues.push({ path, message: 'Skipped a habit that is not an object', record: habit });
+    return null;
+  }
+  const repaired = { ...habit };
+  if (typeof repaired.id !== 'string' || !repaired.id || seenIds.has(repaired.id)) {
+    repaired.id = generateId();
+    issues.push({ path, message: 'Gave a habit with a missing or duplicate id a new id' });
+  }
+  seenIds.add(repaired.id);
+  if (typeof repaired.name !== 'string' || !repaired.name.trim()) {
+    repaired.name = 'Untitled habit';
+    issues.push({ path, message: 'Named a habit that had no name' });
+  }
+  repaired.completions = cleanDateMap(
+    habit.completions,
+    value => value === true || value === SKIPPED || (typeof value === 'number' && Number.isFinite(value) && value > 0),
+    `${path}.completions`,
+    'completion',
+    issues
+  );
+  if (isAvoidHabit(repaired)) {
+    repaired.slips = cleanDateMap(habit.slips, value => Number.isInteger(value) && value > 0, `${path}.slips`, 'slip', issues);
+  }
+  if (isMeasuredHabit(repaired) && !(typeof repaired.target === 'number' && Number.isFinite(repaired.target) && repaired.target > 0)) {
+    repaired.target = 1;
+    issues.push({ path: `${path}.target`, message: 'Reset a missing or invalid habit target to 1' });
+  }
+  if (repaired.selectedDays !== undefined) {
+    const days = Array.isArray(repaired.selectedDays) ? repaired.selectedDays : [];
+    repaired.selectedDays = [...new Set(days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))];
+    if (repaired.selectedDays.length !== days.length || !Array.isArray(habit.selectedDays)) {
+      issues.push({ path: `${path}.selectedDays`, message: 'Dropped unreadable weekdays', record: habit.selectedDays });
+    }
+  }
+  if (isQuotaHabit(repaired)) {
+    if (!QUOTA_PERIOD_DAYS[repaired.quotaPeriod]) {
+      repaired.quotaPeriod = 'week';
+      issues.push({ path: `${path}.quotaPeriod`, message: 'Reset an unknown quota period to weekly' });
+    }
+    const maxCount = QUOTA_PERIOD_DAYS[repaired.quotaPeriod];
+    if (!(Number.isInteger(repaired.quotaCount) && repaired.quotaCount > 0 && repaired.quotaCount <= maxCount)) {
+      repaired.quotaCount = 1;
+      issues.push({ path: `${path}.quotaCount`, message: 'Reset a missing or invalid habit quota to 1' });
+    }
+  }
+  if (isIntervalHabit(repaired)) {
+    if (!(Number.isInteger(repaired.intervalDays) && repaired.intervalDays > 0 && repaired.intervalDays <= MAX_INTERVAL_DAYS)) {
+      repaired.intervalDays = 2;
+      issues.push({ path: `${path}.intervalDays`, message: 'Reset a missing or invalid habit interval to every other day' });
+    }
+    if (typeof repaired.intervalStart !== 'string' || !DATE_KEY_PATTERN.test(repaired.intervalStart)) {
+      repaired.intervalStart = getDateKey(repaired.createdAt || new Date());
+      issues.push({ path: `${path}.intervalStart`, message: 'Reset a missing or invalid interval start to the day the habit was created' });
+    }
+  }
+  if (repaired.streakFreezes !== undefined
+    && !(Number.isInteger(repaired.streakFreezes) && repaired.streakFreezes >= 0 && repaired.streakFreezes <= MAX_STREAK_FREEZES)) {
+    repaired.streakFreezes = 0;
+    issues.push({ path: `${path}.streakFreezes`, message: 'Turned off an invalid streak freeze allowance' });
+  }
+  if (repaired.pauses !== undefined) {
+    const pauses = Array.isArray(repaired.pauses) ? repaired.pauses : [];
+    repaired.pauses = pauses.filter(pause => isPlainObject(pause)
+      && DATE_KEY_PATTERN.test(pause.from) && DATE_KEY_PATTERN.test(pause.to) && pause.from <= pause.to);
+    if (repaired.pauses.length !== pauses.length || !Array.isArray(habit.pauses)) {
+      issues.push({ path: `${path}.pauses`, message: 'Dropped unreadable pause ranges', record: habit.pauses });
+    }
+  }
+  return repaired;
+};
+
+const validateUser = (user, path, issues) => {
+  let habits = user.habits;
+  if (habits !== undefined && !Array.isArray(habits)) {
+    issues.push({ path: `${path}.habits`, message: 'Reset an unreadable habit list', record: habits });
+    habits = [];
+  }
+  const seenIds = new Set();
+  return {
+    ...user,
+    habits: (habits || [])
+      .map((habit, i) => validateHabit(habit, `${path}.habits[${i}]`, seenIds, issues))
+      .filter(Boolean),
+    moods: cleanDateMap(user.moods, value => Number.isInteger(value) && value >= 1 && value <= 5, `${path}.moods`, 'mood', issues),
+    reflections: cleanDateMap(user.reflections, value => typeof value === 'string', `${path}.reflections`, 'reflection', issues)
   };
+};
 
-  const signIn = async (email, password) => {
-    const hashedPassword = await hashPassword(password);
-    const user = appData.users.find(u => u.email === email && u.password === hashedPassword);
-    
-    if (user) {
-      setAppData({ ...appData, currentUser: user.id });
-      setCurrentUser(user);
-      return true;
+const validateData = (data) => {
+  const issues = [];
+  if (!isPlainObject(data)) {
+    issues.push({ path: '', message: 'Saved data is not an object' });
+    return { data: createEmptyData(), issues };
+  }
+  if (!Array.isArray(data.users)) {
+    issues.push({ path: 'users', message: 'The account list is missing or unreadable' });
+  }
+
+  const users = (Array.isArray(data.users) ? data.users : []).flatMap((user, i) => {
+    const path = `users[${i}]`;
+    if (!isPlainObject(user) || typeof user.id !== 'string' || typeof user.email !== 'string') {
+      issues.push({ path, message: 'Skipped an account without an id or email', record: user });
+      return [];
     }
-    return false;
-  };
+    return [validateUser(user, path, issues)];
+  });
 
-  const signOut = () => {
-    setAppData({ ...appData, currentUser: null });
-    setCurrentUser(null);
-    setCurrentView('dashboard');
-  };
+  let currentUser = data.currentUser ?? null;
+  if (currentUser !== null && !users.some(u => u.id === currentUser)) {
+    issues.push({ path: 'currentUser', message: 'Signed out a session for an account that no longer exists' });
+    currentUser = null;
+  }
 
-  const toggleTheme = () => {
-    const newTheme = theme === 'dark' ? 'light' : 'dark';
-    setTheme(newTheme);
-    setAppData({ ...appData, theme: newTheme });
+  return {
+    data: { ...data, users, currentUser, theme: data.theme === 'light' ? 'light' : 'dark' },
+    issues
   };
+};
 
-  const addHabit = (habitData) => {
-    const newHabit = {
-      id: generateId(),
-      ...habitData,
-      createdAt: new Date().toISOString(),
-      completions: {},
-      currentStreak: 0,
-      longestStreak: 0
-    };
-    
-    updateCurrentUser({
-      ...currentUser,
-      habits: [...currentUser.habits, newHabit]
-    });
-    setShowAddHabit(false);
-  };
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
 
-  const updateHabit = (habitId, updates) => {
-    updateCurrentUser({
-      ...currentUser,
-      habits: currentUser.habits.map(h => h.id === habitId ? { ...h, ...updates } : h)
-    });
-    setEditingHabit(null);
-  };
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
 
-  const deleteHabit = (habitId) => {
-    updateCurrentUser({
-      ...currentUser,
-      habits: currentUser.habits.filter(h => h.id !== habitId)
+class LocalStorageBackend {
+  constructor(key = LEGACY_STORAGE_KEY) {
+    this.key = key;
+  }
+
+  async load() {
+    const stored = localStorage.getItem(this.key);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async save(data) {
+    localStorage.setItem(this.key, JSON.stringify(data));
+  }
+
+  quarantineKey(id) {
+    return `${this.key}_quarantine_${id}`;
+  }
+
+  async saveQuarantined(entry) {
+    localStorage.setItem(this.quarantineKey(entry.id), JSON.stringify(entry));
+  }
+
+  // Older versions stored the raw data itself under a timestamp.
+  async listQuarantined() {
+    const prefix = this.quarantineKey('');
+    return Object.keys(localStorage).filter(key => key.startsWith(prefix)).map(key => {
+      const id = key.slice(prefix.length);
+      const value = localStorage.getItem(key);
+      try {
+        const entry = JSON.parse(value);
+        if (entry?.id === id && typeof entry.raw === 'string') return entry;
+      } catch (error) {
+        // Not an entry, so an older copy.
+      }
+      return { id, reason: 'unknown', raw: value, detectedAt: /^\d+$/.test(id) ? new Date(Number(id)).toISOString() : null };
     });
-  };
+  }
 
-  const toggleHabitCompletion = (habitId, date) => {
-    const dateKey = getDateKey(date);
-    const habit = currentUser.habits.find(h => h.id === habitId);
-    if (!habit) return;
-    
-    const completions = { ...habit.completions };
-    if (completions[dateKey]) {
-      delete completions[dateKey];
-    } else {
-      completions[dateKey] = true;
-    }
-    
-    const { currentStreak, longestStreak } = calculateStreaks(habit, completions, date);
-    updateHabit(habitId, { completions, currentStreak, longestStreak });
-  };
+  async deleteQuarantined(id) {
+    localStorage.removeItem(this.quarantineKey(id));
+  }
+}
 
-  const calculateStreaks = (habit, completions, referenceDate) => {
-    const dates = Object.keys(completions).sort().reverse();
-    if (dates.length === 0) return { currentStreak: 0, longestStreak: 0 };
-    
-    let currentStreak = 0;
-    let longestStreak = 0;
-    
-    let checkDate = new Date(referenceDate || new Date());
-    while (true) {
-      const key = getDateKey(checkDate);
-      if (completions[key]) {
-        currentStreak++;
-      } else {
-        break;
-      }
-      checkDate.setDate(checkDate.getDate() - 1);
-      if (currentStreak > 365) break;
-    }
-    
-    const sortedDates = Object.keys(completions).sort();
-    for (let i = 0; i < sortedDates.length; i++) {
-      let tempStreak = 1;
-      for (let j = i + 1; j < sortedDates.length; j++) {
-        const diff = getDaysDifference(sortedDates[j], sortedDates[j - 1]);
-        if (diff === 1 || (habit.frequency === 'weekly' && diff <= 7)) {
-          tempStreak++;
-        } else {
-          break;
+// One object store per entity; users/habits/moods/reflections are split out of
+// the nested app shape on save and reassembled on load. `sessionKeys` holds the
+// unlocked data keys of signed-in users and `quarantine` the copies set aside
+// by recovery; neither is part of the app data.
+class IndexedDBBackend {
+  constructor(name = 'momentum', version = 3) {
+    this.name = name;
+    this.version = version;
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(this.name, this.version);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+        if (!db.objectStoreNames.contains('users')) db.createObjectStore('users', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('habits')) {
+          db.createObjectStore('habits', { keyPath: 'id' }).createIndex('userId', 'userId');
         }
-      }
-      longestStreak = Math.max(longestStreak, tempStreak);
+        if (!db.objectStoreNames.contains('moods')) db.createObjectStore('moods', { keyPath: ['userId', 'date'] });
+        if (!db.objectStoreNames.contains('reflections')) db.createObjectStore('reflections', { keyPath: ['userId', 'date'] });
+        if (!db.objectStoreNames.contains('sessionKeys')) db.createObjectStore('sessionKeys', { keyPath: 'userId' });
+        if (!db.objectStoreNames.contains('quarantine')) db.createObjectStore('quarantine', { keyPath: 'id' });
+      };
+      this.dbPromise = requestToPromise(request);
     }
-    
-    return { currentStreak, longestStreak: Math.max(longestStreak, currentStreak) };
-  };
+    return this.dbPromise;
+  }
 
-  const setMood = (date, mood) => {
-    const dateKey = getDateKey(date);
-    updateCurrentUser({
-      ...currentUser,
-      moods: { ...currentUser.moods, [dateKey]: mood }
+  async load() {
+    const db = await this.open();
+    const tx = db.transaction(['meta', 'users', 'habits', 'moods', 'reflections'], 'readonly');
+    const [meta, users, habits, moods, reflections] = await Promise.all([
+      requestToPromise(tx.objectStore('meta').get('app')),
+      requestToPromise(tx.objectStore('users').getAll()),
+      requestToPromise(tx.objectStore('habits').getAll()),
+      requestToPromise(tx.objectStore('moods').getAll()),
+      requestToPromise(tx.objectStore('reflections').getAll())
+    ]);
+    if (!meta) return null;
+
+    const { key, ...appFields } = meta;
+    const assembled = users.map(user => ({ ...user, habits: [], moods: {}, reflections: {} }));
+    const byId = new Map(assembled.map(user => [user.id, user]));
+
+    habits
+      .sort((a, b) => a.position - b.position)
+      .forEach(({ userId, position, ...habit }) => byId.get(userId)?.habits.push(habit));
+    moods.forEach(({ userId, date, value }) => {
+      const user = byId.get(userId);
+      if (user) user.moods[date] = value;
     });
-  };
-
-  const setReflection = (date, text) => {
-    const dateKey = getDateKey(date);
-    updateCurrentUser({
-      ...currentUser,
-      reflections: { ...currentUser.reflections, [dateKey]: text }
+    reflections.forEach(({ userId, date, text }) => {
+      const user = byId.get(userId);
+      if (user) user.reflections[date] = text;
     });
-  };
 
-  const updateCurrentUser = (updatedUser) => {
-    setAppData({
-      ...appData,
-      users: appData.users.map(u => u.id === updatedUser.id ? updatedUser : u)
-    });
-    setCurrentUser(updatedUser);
-  };
+    return { ...appFields, users: assembled };
+  }
 
-  const getHabitStats = (habit) => {
-    const completions = Object.keys(habit.completions || {});
-    const totalDays = getDaysDifference(new Date(), new Date(habit.createdAt));
-    const completionRate = totalDays > 0 ? (completions.length / totalDays) * 100 : 0;
-    
-    return {
-      totalCompletions: completions.length,
-      completionRate: completionRate.toFixed(1),
-      currentStreak: habit.currentStreak || 0,
-      longestStreak: habit.longestStreak || 0
-    };
-  };
+  async save(data) {
+    const db = await this.open();
+    const tx = db.transaction(['meta', 'users', 'habits', 'moods', 'reflections'], 'readwrite');
+    const done = transactionDone(tx);
+    const stores = ['meta', 'users', 'habits', 'moods', 'reflections'].reduce((acc, name) => {
+      acc[name] = tx.objectStore(name);
+      acc[name].clear();
+      return acc;
+    }, {});
 
-  const getMonthlyData = (habit, month, year) => {
-    const daysInMonth = new Date(year, month + 1, 0).getDate();
-    const data = [];
-    
-    for (let day = 1; day <= daysInMonth; day++) {
-      const date = new Date(year, month, day);
-      const dateKey = getDateKey(date);
-      data.push({
-        day,
-        completed: habit.completions && habit.completions[dateKey] ? 1 : 0,
-        date: dateKey
+    try {
+      const { users = [], ...appFields } = data;
+      stores.meta.put({ ...appFields, key: 'app' });
+      users.forEach(({ habits = [], moods = {}, reflections = {}, ...user }) => {
+        stores.users.put(user);
+        habits.forEach((habit, position) => stores.habits.put({ ...habit, userId: user.id, position }));
+        Object.entries(moods).forEach(([date, value]) => stores.moods.put({ userId: user.id, date, value }));
+        Object.entries(reflections).forEach(([date, text]) => stores.reflections.put({ userId: user.id, date, text }));
       });
+    } catch (error) {
+      // The clears above must not commit on their own.
+      tx.abort();
+      done.catch(() => {});
+      throw error;
     }
-    return data;
-  };
 
-  const getYearlyData = (habit, year) => {
-    const data = [];
-    for (let month = 0; month < 12; month++) {
-      const monthData = getMonthlyData(habit, month, year);
-      const completions = monthData.filter(d => d.completed).length;
-      const total = monthData.length;
-      
-      data.push({
-        month: new Date(year, month).toLocaleDateString('en-US', { month: 'short' }),
-        completionRate: total > 0 ? (completions / total) * 100 : 0,
-        completions
-      });
-    }
-    return data;
-  };
+    await done;
+  }
 
-  const getDailyQuote = () => {
-    const dayOfYear = Math.floor((new Date() - new Date(new Date().getFullYear(), 0, 0)) / 86400000);
-    const quote = motivationalQuotes[dayOfYear % motivationalQuotes.length];
-    return quote.replace('{name}', currentUser?.name || 'there');
-  };
+  async clear() {
+    const db = await this.open();
+    const names = ['meta', 'users', 'habits', 'moods', 'reflections'];
+    const tx = db.transaction(names, 'readwrite');
+    names.forEach(name => tx.objectStore(name).clear());
+    await transactionDone(tx);
+  }
 
-  const getBestHabit = () => {
-    if (!currentUser || currentUser.habits.length === 0) return null;
-    return currentUser.habits.reduce((best, habit) => {
-      const stats = getHabitStats(habit);
-      const bestStats = best ? getHabitStats(best) : { currentStreak: 0 };
-      return stats.currentStreak > bestStats.currentStreak ? habit : best;
-    }, null);
-  };
+  async loadSessionKey(userId) {
+    const db = await this.open();
+    const record = await requestToPromise(db.transaction('sessionKeys').objectStore('sessionKeys').get(userId));
+    return record?.key || null;
+  }
 
-  if (loading) {
-    return <LoadingScreen theme={theme} />;
+  async saveSessionKey(userId, key) {
+    const db = await this.open();
+    const tx = db.transaction('sessionKeys', 'readwrite');
+    tx.objectStore('sessionKeys').put({ userId, key });
+    await transactionDone(tx);
   }
 
-  if (!currentUser) {
-    return <AuthScreen onSignIn={signIn} onSignUp={signUp} theme={theme} toggleTheme={toggleTheme} />;
+  async deleteSessionKey(userId) {
+    const db = await this.open();
+    const tx = db.transaction('sessionKeys', 'readwrite');
+    tx.objectStore('sessionKeys').delete(userId);
+    await transactionDone(tx);
   }
 
-  return (
-    <div className={`app ${theme}`}>
-      <Header 
-        user={currentUser} 
-        onSignOut={signOut} 
-        theme={theme}
-        toggleTheme={toggleTheme}
-        currentView={currentView}
-        setCurrentView={setCurrentView}
-      />
-      
-      <main className="main-content">
-        {currentView === 'dashboard' && (
-          <Dashboard
-            user={currentUser}
-            selectedDate={selectedDate}
-            setSelectedDate={setSelectedDate}
-            toggleHabitCompletion={toggleHabitCompletion}
-            setMood={setMood}
-            setReflection={setReflection}
-            getDailyQuote={getDailyQuote}
-            getBestHabit={getBestHabit}
-            onAddHabit={() => setShowAddHabit(true)}
-            onEditHabit={setEditingHabit}
-            onDeleteHabit={deleteHabit}
-          />
-        )}
-        
-        {currentView === 'calendar' && (
-          <CalendarView
-            user={currentUser}
-            selectedMonth={selectedMonth}
-            setSelectedMonth={setSelectedMonth}
-            selectedDate={selectedDate}
-            setSelectedDate={setSelectedDate}
-          />
-        )}
-        
-        {currentView === 'analytics' && (
-          <AnalyticsView
-            user={currentUser}
-            getHabitStats={getHabitStats}
-            getMonthlyData={getMonthlyData}
-            getYearlyData={getYearlyData}
-            selectedHabit={selectedHabitForAnalytics}
-            setSelectedHabit={setSelectedHabitForAnalytics}
-          />
-        )}
-        
-        {currentView === 'habits' && (
-          <HabitsManager
-            user={currentUser}
-            onAddHabit={() => setShowAddHabit(true)}
-            onEditHabit={setEditingHabit}
-            onDeleteHabit={deleteHabit}
-            getHabitStats={getHabitStats}
-          />
-        )}
-      </main>
-      
-      {showAddHabit && (
-        <HabitModal onClose={() => setShowAddHabit(false)} onSave={addHabit} theme={theme} />
-      )}
-      
-      {editingHabit && (
-        <HabitModal habit={editingHabit} onClose={() => setEditingHabit(null)} onSave={(data) => updateHabit(editingHabit.id, data)} theme={theme} />
-      )}
-      
-      <GlobalStyles theme={theme} />
-    </div>
-  );
-}
+  async saveQuarantined(entry) {
+    const db = await this.open();
+    const tx = db.transaction('quarantine', 'readwrite');
+    tx.objectStore('quarantine').put(entry);
+    await transactionDone(tx);
+  }
 
-// ═══════════════════════════════════════════════════
-// IMMERSIVE AUTH SCREEN — Bioluminescent Deep Ocean
-// ═══════════════════════════════════════════════════
+  async listQuarantined() {
+    const db = await this.open();
+    return requestToPromise(db.transaction('quarantine').objectStore('quarantine').getAll());
+  }
 
-function FloatingOrb({ x, y, size, duration, delay, color }) {
-  return (
-    <div
-      className="floating-orb"
-      style={{
-        left: `${x}%`,
-        top: `${y}%`,
-        width: `${size}px`,
-        height: `${size}px`,
-        background: color,
-        animationDuration: `${duration}s`,
-        animationDelay: `${delay}s`,
-      }}
-    />
-  );
+  async deleteQuarantined(id) {
+    const db = await this.open();
+    const tx = db.transaction('quarantine', 'readwrite');
+    tx.objectStore('quarantine').delete(id);
+    await transactionDone(tx);
+  }
 }
 
-function ParticleField() {
-  const particles = Array.from({ length: 28 }, (_, i) => ({
-    id: i,
-    x: Math.random() * 100,
-    y: Math.random() * 100,
-    size: Math.random() * 4 + 1,
-    duration: Math.random() * 12 + 8,
-    delay: Math.random() * -15,
-    opacity: Math.random() * 0.5 + 0.2,
-  }));
-
-  return (
-    <div className="particle-field">
-      {particles.map(p => (
-        <div
-          key={p.id}
-          className="particle"
-          style={{
-            left: `${p.x}%`,
-            top: `${p.y}%`,
-            width: `${p.size}px`,
-            height: `${p.size}px`,
-            opacity: p.opacity,
-            animationDuration: `${p.duration}s`,
-            animationDelay: `${p.delay}s`,
-          }}
-        />
-      ))}
-    </div>
-  );
-}
+// Browsers disagree on how a full store is reported.
+const isQuotaError = (error) => Boolean(error) && (
+  error.name === 'QuotaExceededError' ||
+  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 ||
+  error.inner?.name === 'QuotaExceededError'
+);
 
-function RippleEffect({ mousePos }) {
-  return (
-    <div
-      className="ripple-glow"
-      style={{
-        left: `${mousePos.x}px`,
-        top: `${mousePos.y}px`,
-      }}
-    />
-  );
-}
+class StorageManager {
+  constructor() {
+    this.STORAGE_KEY = LEGACY_STORAGE_KEY;
+    this.backend = IndexedDBBackend.isSupported() ? new IndexedDBBackend() : new LocalStorageBackend(this.STORAGE_KEY);
+    this.writeQueue = Promise.resolve();
+    this.lastSaveError = null;
+  }
 
-function AuthScreen({ onSignIn, onSignUp, theme, toggleTheme }) {
-  const [isSignUp, setIsSignUp] = useState(false);
-  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
-  const [error, setError] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [focusedField, setFocusedField] = useState(null);
-  const [mousePos, setMousePos] = useState({ x: -999, y: -999 });
-  const [showPassword, setShowPassword] = useState(false);
-  const [submitSuccess, setSubmitSuccess] = useState(false);
-  const containerRef = useRef(null);
+  async loadData() {
+    const stored = await this.readStoredData();
+    if (!stored) return createEmptyData();
 
-  const orbs = [
-    { x: 10, y: 20, size: 300, duration: 18, delay: 0,   color: 'radial-gradient(circle, rgba(99,102,241,0.18) 0%, transparent 70%)' },
-    { x: 75, y: 10, size: 250, duration: 22, delay: -5,  color: 'radial-gradient(circle, rgba(139,92,246,0.15) 0%, transparent 70%)' },
-    { x: 85, y: 65, size: 350, duration: 26, delay: -9,  color: 'radial-gradient(circle, rgba(56,189,248,0.12) 0%, transparent 70%)' },
-    { x: 5,  y: 75, size: 280, duration: 20, delay: -13, color: 'radial-gradient(circle, rgba(99,102,241,0.14) 0%, transparent 70%)' },
-    { x: 45, y: 85, size: 200, duration: 16, delay: -7,  color: 'radial-gradient(circle, rgba(167,139,250,0.1) 0%, transparent 70%)' },
-  ];
+    const { data: validated, issues } = validateData(stored);
+    if (issues.length > 0) {
+      await this.quarantine('invalid-records', JSON.stringify(stored), issues);
+    }
 
-  const handleMouseMove = (e) => {
-    if (containerRef.current) {
-      const rect = containerRef.current.getBoundingClientRect();
-      setMousePos({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+    try {
+      return migrateData(validated);
+    } catch (error) {
+      console.error('Schema migration failed:', error);
+      if (!this.recoveryReport) {
+        await this.quarantine('migration-failed', JSON.stringify(stored), [{ path: '', message: error.message }]);
+      }
+      return validated;
     }
-  };
+  }
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError('');
-    setLoading(true);
-    
-    try {
-      if (isSignUp) {
-        if (!formData.name || !formData.email || !formData.password) {
-          setError('All fields are required');
-          return;
-        }
-        setSubmitSuccess(true);
-        setTimeout(() => onSignUp(formData.name, formData.email, formData.password), 600);
-      } else {
-        const success = await onSignIn(formData.email, formData.password);
-        if (!success) {
-          setError('Invalid email or password');
-        } else {
-          setSubmitSuccess(true);
-        }
+  async readStoredData() {
+    if (this.backend instanceof IndexedDBBackend) {
+      try {
+        const stored = await this.backend.load();
+        if (stored) return stored;
+      } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        this.backend = new LocalStorageBackend(this.STORAGE_KEY);
+        return this.readStoredData();
       }
-    } catch (err) {
-      setError('An error occurred');
-    } finally {
-      setLoading(false);
+      return this.migrateFromLocalStorage();
     }
-  };
+    return this.readLegacyBlob();
+  }
 
-  const switchMode = () => {
-    setIsSignUp(!isSignUp);
-    setError('');
-    setFormData({ name: '', email: '', password: '' });
-  };
+  // A blob that no longer parses is set aside instead of being left where the
+  // next save would overwrite it.
+  async readLegacyBlob() {
+    const raw = localStorage.getItem(this.STORAGE_KEY);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      await this.quarantine('parse-error', raw, [{ path: '', message: error.message }]);
+      return null;
+    }
+  }
 
-  return (
-    <div
-      className={`auth-immersive auth-immersive--${theme} ${submitSuccess ? 'success-state' : ''}`}
-      ref={containerRef}
-      onMouseMove={handleMouseMove}
-    >
-      {/* Deep background layers */}
-      <div className="auth-bg-layer auth-bg-base" />
-      <div className="auth-bg-layer auth-bg-nebula" />
-      <div className="auth-bg-layer auth-bg-vignette" />
+  // Copies are set aside with the backend, so the whole store is not pushed
+  // into localStorage. Each `id` keeps only its newest copy.
+  async quarantine(reason, raw, issues, id = reason) {
+    const detectedAt = new Date().toISOString();
+    let stored = false;
+    try {
+      await this.backend.saveQuarantined({ id, reason, raw, detectedAt });
+      stored = true;
+      if (reason === 'parse-error') localStorage.removeItem(this.STORAGE_KEY);
+    } catch (error) {
+      console.error('Could not quarantine data:', error);
+    }
+    this.recoveryReport = { reason, raw, issues, quarantineId: stored ? id : null, detectedAt };
+  }
 
-      {/* Floating orbs */}
-      {orbs.map((orb, i) => <FloatingOrb key={i} {...orb} />)}
+  // Sets aside each sealed user that `issues` (as `UserVault.open` reports
+  // them) says needed repair once opened.
+  async quarantineSealedUsers(users, issues) {
+    for (const user of users) {
+      const found = issues.filter(issue => issue.path.startsWith(`users[${user.id}]`));
+      if (found.length > 0) await this.quarantine('invalid-records', JSON.stringify(user), found, `user-${user.id}`);
+    }
+  }
 
-      {/* Particle field */}
-      <ParticleField />
+  // Older versions set copies aside in localStorage whatever the backend.
+  getQuarantineSources() {
+    return this.backend instanceof LocalStorageBackend
+      ? [this.backend]
+      : [this.backend, new LocalStorageBackend(this.STORAGE_KEY)];
+  }
 
-      {/* Mouse ripple */}
-      <RippleEffect mousePos={mousePos} />
+  async listQuarantined() {
+    try {
+      const lists = await Promise.all(this.getQuarantineSources().map(source => source.listQuarantined()));
+      return lists.flat().sort((a, b) => (b.detectedAt || '').localeCompare(a.detectedAt || ''));
+    } catch (error) {
+      console.warn('Could not list quarantined data:', error);
+      return [];
+    }
+  }
 
-      {/* Horizontal drift lines */}
-      <div className="drift-lines">
-        {[...Array(5)].map((_, i) => (
-          <div key={i} className="drift-line" style={{ top: `${15 + i * 18}%`, animationDelay: `${i * 1.8}s` }} />
-        ))}
-      </div>
+  async deleteQuarantined(id) {
+    await Promise.all(this.getQuarantineSources().map(source => source.deleteQuarantined(id)));
+  }
 
-      {/* Theme toggle */}
-      <button className="auth-theme-btn" onClick={toggleTheme} title="Toggle theme">
-        <span>{theme === 'dark' ? '☀' : '☾'}</span>
-      </button>
+  // Takes a deleted account out of every copy, and drops copies left with
+  // nothing else in them. Copies that cannot be read are left alone.
+  async removeUserFromQuarantine(userId) {
+    for (const entry of await this.listQuarantined()) {
+      let parsed;
+      try {
+        parsed = JSON.parse(entry.raw);
+      } catch (error) {
+        continue;
+      }
+      const users = Array.isArray(parsed?.users) ? parsed.users.filter(u => u?.id !== userId) : null;
+      if (parsed?.id !== userId && (!users || users.length === parsed.users.length)) continue;
+      await this.deleteQuarantined(entry.id);
+      if (users?.length > 0) await this.backend.saveQuarantined({ ...entry, raw: JSON.stringify({ ...parsed, users }) });
+    }
+  }
 
-      {/* Central card */}
-      <div className={`auth-card ${isSignUp ? 'auth-card--signup' : ''}`}>
-        {/* Card glow ring */}
-        <div className="card-glow-ring" />
+  takeRecoveryReport() {
+    const report = this.recoveryReport;
+    this.recoveryReport = null;
+    return report || null;
+  }
 
-        {/* Logo area */}
-        <div className="auth-brand">
-          <div className="brand-icon">
-            <div className="brand-icon-inner">
-              <svg width="32" height="32" viewBox="0 0 32 32" fill="none">
-                <circle cx="16" cy="16" r="14" stroke="url(#brandGrad)" strokeWidth="2" />
-                <path d="M8 20 L12 14 L16 18 L20 10 L24 16" stroke="url(#brandGrad)" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" />
-                <defs>
-                  <linearGradient id="brandGrad" x1="0" y1="0" x2="32" y2="32" gradientUnits="userSpaceOnUse">
-                    <stop stopColor="#a78bfa" />
-                    <stop offset="1" stopColor="#38bdf8" />
-                  </linearGradient>
-                </defs>
-              </svg>
-            </div>
-          </div>
-          <div className="brand-text">
-            <h1 className="auth-logo">Momentum</h1>
-            <p className="auth-tagline">
-              {isSignUp ? 'Begin your journey today.' : 'Welcome back, keep going.'}
-            </p>
-          </div>
-        </div>
+  // Moves a pre-IndexedDB `habitTracker_v2` blob over. The legacy key is only
+  // removed once the copy has been read back and matches what was written.
+  async migrateFromLocalStorage() {
+    const legacy = await this.readLegacyBlob();
+    if (!legacy) return null;
 
-        {/* Tab switcher */}
-        <div className="auth-tabs">
-          <button
-            className={`auth-tab ${!isSignUp ? 'auth-tab--active' : ''}`}
-            onClick={() => !isSignUp ? null : switchMode()}
-          >
-            Sign In
-          </button>
-          <button
-            className={`auth-tab ${isSignUp ? 'auth-tab--active' : ''}`}
-            onClick={() => isSignUp ? null : switchMode()}
-          >
-            Create Account
-          </button>
-          <div className={`auth-tab-indicator ${isSignUp ? 'auth-tab-indicator--right' : ''}`} />
-        </div>
+    try {
+      await this.backend.save(legacy);
+      const copied = await this.backend.load();
+      if (!copied || stableStringify(normalizeForCompare(legacy)) !== stableStringify(normalizeForCompare(copied))) {
+        await this.backend.clear();
+        throw new Error('IndexedDB migration could not be verified');
+      }
+      localStorage.removeItem(this.STORAGE_KEY);
+      return copied;
+    } catch (error) {
+      console.warn('Keeping data in localStorage:', error);
+      this.backend = new LocalStorageBackend(this.STORAGE_KEY);
+      return legacy;
+    }
+  }
 
-        {/* Form */}
-        <form className="auth-form-new" onSubmit={handleSubmit}>
-          <div className={`form-fields ${isSignUp ? 'form-fields--three' : 'form-fields--two'}`}>
+  async saveData(data) {
+    const write = this.writeQueue.then(async () => {
+      try {
+        await this.backend.save(await userVault.sealAppData(data));
+        this.lastSaveError = null;
+        return true;
+      } catch (error) {
+        console.error('Save error:', error);
+        this.lastSaveError = error;
+        return false;
+      }
+    });
+    this.writeQueue = write;
+    return write;
+  }
 
-            {isSignUp && (
-              <div className={`auth-field ${focusedField === 'name' ? 'auth-field--focused' : ''} ${formData.name ? 'auth-field--filled' : ''}`}>
-                <div className="field-icon">
-                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
-                    <circle cx="8" cy="6" r="3" stroke="currentColor" strokeWidth="1.5" />
-                    <path d="M2 14c0-3.314 2.686-5 6-5s6 1.686 6 5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
-                  </svg>
-                </div>
-                <input
-                  type="text"
-                  value={formData.name}
-                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                  onFocus={() => setFocusedField('name')}
-                  onBlur={() => setFocusedField(null)}
-                  placeholder="Your name"
-                  required={isSignUp}
-                  autoComplete="name"
-                />
-                <label>Your Name</label>
-                <div className="field-underline" />
-              </div>
-            )}
+  // Usage and quota for the whole origin, in bytes; null where unsupported.
+  async estimateUsage() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      console.warn('Could not estimate storage usage:', error);
+      return null;
+    }
+  }
 
-            <div className={`auth-field ${focusedField === 'email' ? 'auth-field--focused' : ''} ${formData.email ? 'auth-field--filled' : ''}`}>
-              <div className="field-icon">
-                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
-                  <rect x="2" y="4" width="12" height="9" rx="1.5" stroke="currentColor" strokeWidth="1.5" />
-                  <path d="M2 5.5l6 4 6-4" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
-                </svg>
-              </div>
-              <input
-                type="email"
-                value={formData.email}
-                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-                onFocus={() => setFocusedField('email')}
-                onBlur={() => setFocusedField(null)}
-                placeholder="your@email.com"
-                required
-                autoComplete="email"
-              />
-              <label>Email Address</label>
-              <div className="field-underline" />
-            </div>
+  // Session keys can only be kept where a CryptoKey can be stored as-is, so
+  // with the localStorage fallback users sign in again after a reload.
+  async loadSessionKey(userId) {
+    if (!(this.backend instanceof IndexedDBBackend)) return null;
+    try {
+      return await this.backend.loadSessionKey(userId);
+    } catch (error) {
+      console.warn('Could not read session key:', error);
+      return null;
+    }
+  }
 
-            <div className={`auth-field ${focusedField === 'password' ? 'auth-field--focused' : ''} ${formData.password ? 'auth-field--filled' : ''}`}>
-              <div className="field-icon">
-                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
-                  <rect x="4" y="7" width="8" height="7" rx="1" stroke="currentColor" strokeWidth="1.5" />
-                  <path d="M5.5 7V5a2.5 2.5 0 015 0v2" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
-                </svg>
-              </div>
-              <input
-                type={showPassword ? 'text' : 'password'}
-                value={formData.password}
-                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                onFocus={() => setFocusedField('password')}
-                onBlur={() => setFocusedField(null)}
-                placeholder="••••••••"
-                required
-                autoComplete={isSignUp ? 'new-password' : 'current-password'}
-              />
-              <label>Password</label>
-              <button
-                type="button"
-                className="field-eye-btn"
-                onClick={() => setShowPassword(!showPassword)}
-                tabIndex={-1}
-              >
-                {showPassword ? (
-                  <svg width="15" height="15" viewBox="0 0 15 15" fill="none">
-                    <path d="M1 7.5s2.5-5 6.5-5 6.5 5 6.5 5-2.5 5-6.5 5-6.5-5-6.5-5z" stroke="currentColor" strokeWidth="1.4"/>
-                    <circle cx="7.5" cy="7.5" r="2" stroke="currentColor" strokeWidth="1.4"/>
-                    <line x1="2" y1="13" x2="13" y2="2" stroke="currentColor" strokeWidth="1.4" strokeLinecap="round"/>
-                  </svg>
-                ) : (
-                  <svg width="15" height="15" viewBox="0 0 15 15" fill="none">
-                    <path d="M1 7.5s2.5-5 6.5-5 6.5 5 6.5 5-2.5 5-6.5 5-6.5-5-6.5-5z" stroke="currentColor" strokeWidth="1.4"/>
-                    <circle cx="7.5" cy="7.5" r="2" stroke="currentColor" strokeWidth="1.4"/>
-                  </svg>
-                )}
-              </button>
-              <div className="field-underline" />
-            </div>
-          </div>
+  async saveSessionKey(userId, key) {
+    if (!(this.backend instanceof IndexedDBBackend)) return;
+    try {
+      await this.backend.saveSessionKey(userId, key);
+    } catch (error) {
+      console.warn('Could not keep session key:', error);
+    }
+  }
 
-          {/* Error */}
-          {error && (
-            <div className="auth-error">
-              <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
-                <circle cx="7" cy="7" r="6" stroke="#f87171" strokeWidth="1.5"/>
-                <path d="M7 4v3.5" stroke="#f87171" strokeWidth="1.5" strokeLinecap="round"/>
-                <circle cx="7" cy="10" r="0.75" fill="#f87171"/>
-              </svg>
-              {error}
-            </div>
-          )}
+  async deleteSessionKey(userId) {
+    if (!(this.backend instanceof IndexedDBBackend)) return;
+    try {
+      await this.backend.deleteSessionKey(userId);
+    } catch (error) {
+      console.warn('Could not remove session key:', error);
+    }
+  }
+}
 
-          {/* Submit button */}
-          <button
-            type="submit"
-            className={`auth-submit ${loading ? 'auth-submit--loading' : ''} ${submitSuccess ? 'auth-submit--success' : ''}`}
-            disabled={loading || submitSuccess}
-          >
-            <span className="submit-text">
-              {submitSuccess ? (
-                <>
-                  <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
-                    <path d="M3 9l4 4 8-8" stroke="white" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"/>
-                  </svg>
-                  &nbsp;Welcome!
-                </>
-              ) : loading ? (
-                <span className="submit-spinner" />
-              ) : isSignUp ? (
-                'Create Account'
-              ) : (
-                'Sign In'
-              )}
-            </span>
-            <div className="submit-shine" />
-          </button>
+const storage = new StorageManager();
 
-          {/* Switch mode */}
-          <button type="button" className="auth-switch" onClick={switchMode}>
-            {isSignUp ? (
-              <>Already have an account? <span>Sign in →</span></>
-            ) : (
-              <>New here? <span>Create a free account →</span></>
-            )}
-          </button>
-        </form>
+// ENCRYPTION AT REST
+// Each user's habits, moods, reflections and change stamps are encrypted with
+// a random AES-GCM data key. The data key is stored wrapped by a key derived
+// from the password (PBKDF2), so a password change only re-wraps the data key.
+// Name, email and the password hash stay readable so sign-in can find the user.
+// In memory, unlocked users are plain objects; they are sealed on every save.
+const VAULT_VERSION = 1;
+const VAULT_KDF_ITERATIONS = 600000;
+
+const deriveWrappingKey = async (secret, kdf) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, salt: base64ToBytes(kdf.salt), iterations: kdf.iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
 
-        {/* Bottom ambient line */}
-        <div className="card-bottom-glow" />
-      </div>
+const wrapDataKey = async (dataKey, secret, iterations = VAULT_KDF_ITERATIONS) => {
+  const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: randomBase64(16) };
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrapped = await crypto.subtle.wrapKey('raw', dataKey, await deriveWrappingKey(secret, kdf), { name: 'AES-GCM', iv });
+  return { kdf, iv: bytesToBase64(iv), wrappedKey: bytesToBase64(wrapped) };
+};
 
-      {/* Decorative bottom text */}
-      <div className="auth-footer">
-        Build habits that last · Track progress that matters
-      </div>
+// Rejects when the secret is wrong: AES-GCM will not unwrap with another key.
+const unwrapDataKey = async (wrapping, secret, extractable = false) => crypto.subtle.unwrapKey(
+  'raw',
+  base64ToBytes(wrapping.wrappedKey),
+  await deriveWrappingKey(secret, wrapping.kdf),
+  { name: 'AES-GCM', iv: base64ToBytes(wrapping.iv) },
+  { name: 'AES-GCM', length: 256 },
+  extractable,
+  ['encrypt', 'decrypt']
+);
+
+const isSealed = (user) => Boolean(user?.vault?.ciphertext);
+
+// Session keys are kept non-extractable, so they cannot be copied out of the browser.
+const toSessionKey = async (dataKey) => crypto.subtle.importKey(
+  'raw', await crypto.subtle.exportKey('raw', dataKey), 'AES-GCM', false, ['encrypt', 'decrypt']
+);
+
+// RECOVERY CODES
+// Each code is stored only as a salted hash plus its own wrapped copy of the
+// data key, so a code can both reset the password and open the encrypted data.
+// Codes carry about 60 random bits, so they need fewer PBKDF2 rounds than a
+// password. A code is removed once it has been used.
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ITERATIONS = 100000;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
+
+const generateRecoveryCode = () => {
+  const values = crypto.getRandomValues(new Uint32Array(12));
+  const chars = Array.from(values, v => RECOVERY_CODE_ALPHABET[v % RECOVERY_CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
 
-      <AuthStyles />
-    </div>
-  );
-}
+const normalizeRecoveryCode = (code) => (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
 
-// ═══════════════════════════════════════════════
-// AUTH PAGE STYLES (scoped)
-// ═══════════════════════════════════════════════
-function AuthStyles() {
-  return (
-    <style>{`
-      @import url('https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,400;0,500;0,600;1,400&family=DM+Sans:wght@300;400;500;600&display=swap');
+class UserVault {
+  constructor() {
+    this.keys = new Map();
+  }
 
-      .auth-immersive {
-        min-height: 100vh;
-        width: 100%;
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        position: relative;
-        overflow: hidden;
-        font-family: 'DM Sans', sans-serif;
-        padding: 2rem 1rem 4rem;
-        cursor: default;
-      }
+  isUnlocked(userId) {
+    return this.keys.has(userId);
+  }
 
-      /* ── BACKGROUNDS ── */
-      .auth-bg-layer { position: absolute; inset: 0; pointer-events: none; }
+  getKey(userId) {
+    return this.keys.get(userId) || null;
+  }
 
-      /* DARK theme base */
-      .auth-immersive--dark .auth-bg-base {
-        background: radial-gradient(ellipse 120% 100% at 50% 0%,
-          #0d0a1e 0%,
-          #080614 35%,
-          #060410 60%,
-          #040210 100%
-        );
-        z-index: 0;
-      }
+  unlock(userId, key) {
+    this.keys.set(userId, key);
+  }
 
-      /* LIGHT theme base */
-      .auth-immersive--light .auth-bg-base {
-        background: radial-gradient(ellipse 120% 100% at 50% 0%,
-          #f0eeff 0%,
-          #e8e4ff 30%,
-          #eef4ff 65%,
-          #f5f0ff 100%
-        );
-        z-index: 0;
-      }
+  // Returns the user ready for use in memory. Users saved before encryption
+  // existed get a data key now and are encrypted on the next save.
+  async unlockWithPassword(user, password, issues = []) {
+    if (!user.vault) {
+      const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+      const key = await wrapDataKey(dataKey, password);
+      this.unlock(user.id, await toSessionKey(dataKey));
+      return { ...user, vault: { version: VAULT_VERSION, key } };
+    }
+    this.unlock(user.id, await unwrapDataKey(user.vault.key, password));
+    return isSealed(user) ? this.open(user, issues) : user;
+  }
 
-      .auth-bg-base {
-        background: radial-gradient(ellipse 120% 100% at 50% 0%,
-          #0d0a1e 0%, #080614 35%, #060410 60%, #040210 100%
-        );
-        z-index: 0;
-      }
+  forget(userId) {
+    this.keys.delete(userId);
+  }
 
-      .auth-bg-nebula {
-        background:
-          radial-gradient(ellipse 80% 60% at 20% 30%, rgba(99,102,241,0.08) 0%, transparent 60%),
-          radial-gradient(ellipse 60% 50% at 80% 70%, rgba(56,189,248,0.07) 0%, transparent 60%),
-          radial-gradient(ellipse 40% 40% at 50% 90%, rgba(139,92,246,0.06) 0%, transparent 60%);
-        z-index: 1;
-        animation: nebulaPulse 12s ease-in-out infinite;
-      }
+  // Re-wraps the data key for a new password; the data itself is unchanged.
+  async changePassword(user, currentPassword, newPassword) {
+    if (!user.vault) return this.unlockWithPassword(user, newPassword);
+    const dataKey = await unwrapDataKey(user.vault.key, currentPassword, true);
+    return { ...user, vault: { ...user.vault, key: await wrapDataKey(dataKey, newPassword) } };
+  }
 
-      /* Light mode nebula — softer, pastel tones */
-      .auth-immersive--light .auth-bg-nebula {
-        background:
-          radial-gradient(ellipse 80% 60% at 20% 30%, rgba(99,102,241,0.12) 0%, transparent 60%),
-          radial-gradient(ellipse 60% 50% at 80% 70%, rgba(56,189,248,0.10) 0%, transparent 60%),
-          radial-gradient(ellipse 40% 40% at 50% 90%, rgba(139,92,246,0.09) 0%, transparent 60%);
-      }
+  // Returns the codes to show the user once, and what to store in their place.
+  async createRecoveryCodes(user, password) {
+    const dataKey = await unwrapDataKey(user.vault.key, password, true);
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    const entries = await Promise.all(codes.map(async code => {
+      const secret = normalizeRecoveryCode(code);
+      return {
+        hash: await hashPassword(secret, { iterations: RECOVERY_CODE_ITERATIONS }),
+        key: await wrapDataKey(dataKey, secret, RECOVERY_CODE_ITERATIONS)
+      };
+    }));
+    return { codes, recovery: { createdAt: new Date().toISOString(), codes: entries } };
+  }
 
-      .auth-immersive--light .auth-bg-vignette {
-        background: radial-gradient(ellipse 70% 70% at 50% 50%, transparent 40%, rgba(220,215,255,0.5) 100%);
+  // Unlocks the user with a recovery code and re-wraps the data key for
+  // `newPassword`. Resolves to null if the code does not match.
+  async unlockWithRecoveryCode(user, code, newPassword, issues = []) {
+    const secret = normalizeRecoveryCode(code);
+    const entries = user.recovery?.codes || [];
+    let match = null;
+    for (const entry of entries) {
+      if (await verifyPassword(secret, entry.hash)) {
+        match = entry;
+        break;
       }
+    }
+    if (!match) return null;
 
-      @keyframes nebulaPulse {
-        0%, 100% { opacity: 0.8; transform: scale(1); }
-        50%       { opacity: 1;   transform: scale(1.04); }
-      }
+    const dataKey = await unwrapDataKey(match.key, secret, true);
+    this.unlock(user.id, await toSessionKey(dataKey));
+    const opened = isSealed(user) ? await this.open(user, issues) : user;
+    return {
+      ...opened,
+      vault: { ...opened.vault, key: await wrapDataKey(dataKey, newPassword) },
+      recovery: { ...user.recovery, codes: entries.filter(entry => entry !== match) }
+    };
+  }
 
-      .auth-bg-vignette {
-        background: radial-gradient(ellipse 70% 70% at 50% 50%, transparent 40%, rgba(2,1,8,0.7) 100%);
-        z-index: 2;
-      }
+  async seal(user) {
+    const { habits, moods, reflections, stamps, ...profile } = user;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const payload = JSON.stringify({ schemaVersion: SCHEMA_VERSION, habits, moods, reflections, stamps });
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(user.id) },
+      this.keys.get(user.id),
+      new TextEncoder().encode(payload)
+    );
+    return { ...profile, vault: { ...user.vault, iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) } };
+  }
 
-      /* ── ORBS ── */
-      .floating-orb {
-        position: absolute;
-        border-radius: 50%;
-        pointer-events: none;
-        z-index: 3;
-        animation: orbDrift linear infinite;
-        filter: blur(1px);
-        transform: translate(-50%, -50%);
-      }
+  // Content sealed by an older version of the app is migrated on the way out.
+  // Records are checked like the rest of storage once they are readable, and
+  // repairs are added to `issues` for the caller to act on.
+  async open(record, issues = []) {
+    const { iv, ciphertext, ...vault } = record.vault;
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(iv), additionalData: new TextEncoder().encode(record.id) },
+      this.keys.get(record.id),
+      base64ToBytes(ciphertext)
+    );
+    const { schemaVersion, ...content } = JSON.parse(new TextDecoder().decode(plaintext));
+    const { habits, moods, reflections, stamps, ...profile } = record;
+    const user = validateUser({ ...profile, vault, ...content }, `users[${record.id}]`, issues);
+    return migrateData({ schemaVersion, users: [user] }).users[0];
+  }
 
-      @keyframes orbDrift {
-        0%   { transform: translate(-50%, -50%) scale(1) rotate(0deg); }
-        25%  { transform: translate(calc(-50% + 30px), calc(-50% - 20px)) scale(1.05) rotate(90deg); }
-        50%  { transform: translate(calc(-50% + 15px), calc(-50% + 25px)) scale(0.95) rotate(180deg); }
-        75%  { transform: translate(calc(-50% - 20px), calc(-50% + 10px)) scale(1.03) rotate(270deg); }
-        100% { transform: translate(-50%, -50%) scale(1) rotate(360deg); }
-      }
+  async openAppData(data, issues = []) {
+    const users = await Promise.all(data.users.map(user => (
+      isSealed(user) && this.isUnlocked(user.id) ? this.open(user, issues) : user
+    )));
+    return { ...data, users };
+  }
 
-      /* ── PARTICLES ── */
-      .particle-field { position: absolute; inset: 0; z-index: 4; pointer-events: none; }
+  // Users that were never unlocked are already sealed and pass through, as do
+  // users from before encryption who have not signed in since.
+  async sealAppData(data) {
+    const users = await Promise.all(data.users.map(user => {
+      if (!user.vault || isSealed(user)) return user;
+      if (!this.isUnlocked(user.id)) throw new Error(`No key to encrypt user ${user.id}`);
+      return this.seal(user);
+    }));
+    return { ...data, users };
+  }
 
-      .particle {
-        position: absolute;
-        border-radius: 50%;
-        background: radial-gradient(circle, rgba(167,139,250,0.8) 0%, rgba(99,102,241,0.3) 60%, transparent 100%);
-        animation: particleFloat linear infinite;
-        box-shadow: 0 0 6px rgba(167,139,250,0.4);
-      }
+  // Seals the user in `data` and forgets their key.
+  async lock(data, userId) {
+    const sealed = await this.sealAppData({ ...data, users: data.users.filter(u => u.id === userId) });
+    this.forget(userId);
+    return { ...data, users: data.users.map(u => u.id === userId ? sealed.users[0] : u) };
+  }
+}
 
-      @keyframes particleFloat {
-        0%   { transform: translateY(0px) translateX(0px); opacity: 0; }
-        10%  { opacity: 1; }
-        50%  { transform: translateY(-120px) translateX(20px); }
-        90%  { opacity: 0.6; }
-        100% { transform: translateY(-240px) translateX(-10px); opacity: 0; }
-      }
+const userVault = new UserVault();
 
-      /* ── DRIFT LINES ── */
-      .drift-lines { position: absolute; inset: 0; z-index: 4; pointer-events: none; overflow: hidden; }
+// Opens the unlocked users in stored data. Accounts that needed repair are set
+// aside still sealed, leaving a recovery report for the app to show.
+const openStoredData = async (data) => {
+  const issues = [];
+  const opened = await userVault.openAppData(data, issues);
+  await storage.quarantineSealedUsers(data.users, issues);
+  return opened;
+};
 
-      .drift-line {
-        position: absolute;
-        left: -100%;
-        width: 40%;
-        height: 1px;
-        background: linear-gradient(90deg, transparent, rgba(99,102,241,0.12), rgba(167,139,250,0.08), transparent);
-        animation: lineDrift 18s linear infinite;
-      }
+// STORAGE CLEANUP
+// Pruning old reflections or completions sets one `prunedBefore` date per kind
+// on the user instead of leaving a deletion stamp for every entry removed, so a
+// prune actually shrinks what is saved. Stamps and merged entries older than
+// the cutoff are dropped.
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+};
 
-      @keyframes lineDrift {
-        0%   { left: -40%; opacity: 0; }
-        5%   { opacity: 1; }
-        95%  { opacity: 0.5; }
-        100% { left: 100%; opacity: 0; }
-      }
+const measureBytes = (value) => new Blob([JSON.stringify(value ?? null)]).size;
 
-      /* ── RIPPLE ── */
-      .ripple-glow {
-        position: absolute;
-        width: 400px;
-        height: 400px;
-        border-radius: 50%;
-        background: radial-gradient(circle, rgba(99,102,241,0.06) 0%, transparent 70%);
-        transform: translate(-50%, -50%);
-        pointer-events: none;
-        z-index: 5;
-        transition: left 0.15s ease-out, top 0.15s ease-out;
-      }
+const dropBefore = (map = {}, cutoff) => (
+  cutoff ? Object.fromEntries(Object.entries(map).filter(([date]) => date >= cutoff)) : map
+);
 
-      /* ── THEME BUTTON ── */
-      .auth-theme-btn {
-        position: absolute;
-        top: 1.5rem;
-        right: 1.5rem;
-        width: 42px;
-        height: 42px;
-        background: rgba(255,255,255,0.04);
-        border: 1px solid rgba(167,139,250,0.2);
-        border-radius: 50%;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        cursor: pointer;
-        z-index: 20;
-        font-size: 1.1rem;
-        color: rgba(167,139,250,0.7);
-        transition: all 0.3s ease;
-        backdrop-filter: blur(8px);
-      }
-      .auth-theme-btn:hover {
-        background: rgba(99,102,241,0.12);
-        border-color: rgba(167,139,250,0.5);
-        color: #a78bfa;
-        transform: rotate(20deg) scale(1.1);
-      }
+const countBefore = (map = {}, cutoff) => Object.keys(map).filter(date => date < cutoff).length;
 
-      /* ── CARD ── */
-      .auth-card {
-        position: relative;
-        z-index: 10;
-        width: 100%;
-        max-width: 420px;
-        padding: 2.5rem 2.5rem 2rem;
-        background: rgba(13, 10, 30, 0.72);
-        border: 1px solid rgba(167, 139, 250, 0.18);
-        border-radius: 24px;
-        backdrop-filter: blur(24px) saturate(1.4);
-        box-shadow:
-          0 0 0 1px rgba(99,102,241,0.06),
-          0 20px 80px rgba(0,0,0,0.6),
-          0 0 60px rgba(99,102,241,0.06),
-          inset 0 1px 0 rgba(255,255,255,0.06);
-        animation: cardReveal 0.9s cubic-bezier(0.16,1,0.3,1) both;
-        transition: transform 0.4s ease, box-shadow 0.4s ease;
-      }
+// Stamp keys end in the date they cover: `completion:<habitId>:<date>`, `reflection:<date>`.
+// Slip stamps (`slip:<habitId>:<date>`) have no cutoff and are always kept.
+const dropPrunedStamps = (stamps = {}, prunedBefore) => {
+  if (!prunedBefore) return stamps;
+  const cutoffs = { completion: prunedBefore.completions, reflection: prunedBefore.reflections };
+  return Object.fromEntries(Object.entries(stamps).filter(([key]) => {
+    const cutoff = cutoffs[key.slice(0, key.indexOf(':'))];
+    return !cutoff || key.slice(key.lastIndexOf(':') + 1) >= cutoff;
+  }));
+};
 
-      /* Light mode card */
-      .auth-immersive--light .auth-card {
-        background: rgba(255, 255, 255, 0.82);
-        border: 1px solid rgba(99, 102, 241, 0.2);
-        box-shadow:
-          0 0 0 1px rgba(99,102,241,0.08),
-          0 20px 80px rgba(99,102,241,0.12),
-          0 0 60px rgba(99,102,241,0.05),
-          inset 0 1px 0 rgba(255,255,255,0.9);
-      }
+const withPruneMarker = (user, kind, cutoff) => ({
+  ...user,
+  prunedBefore: { ...user.prunedBefore, [kind]: [user.prunedBefore?.[kind] || '', cutoff].sort()[1] }
+});
+
+const pruneReflections = (user, cutoff) => withPruneMarker({
+  ...user,
+  reflections: dropBefore(user.reflections, cutoff)
+}, 'reflections', cutoff);
+
+// Habits keep the best streak they reached, even once it has been pruned.
+const pruneCompletions = (user, cutoff) => withPruneMarker({
+  ...user,
+  habits: user.habits.map(habit => {
+    if (countBefore(habit.completions, cutoff) === 0) return habit;
+    return recalculateStreaks({
+      ...habit,
+      completions: dropBefore(habit.completions, cutoff),
+      prunedLongestStreak: Math.max(habit.prunedLongestStreak || 0, habit.longestStreak || 0)
+    });
+  })
+}, 'completions', cutoff);
 
-      .auth-immersive--light .auth-card:hover {
-        box-shadow:
-          0 0 0 1px rgba(99,102,241,0.15),
-          0 25px 100px rgba(99,102,241,0.18),
-          inset 0 1px 0 rgba(255,255,255,0.9);
-      }
+// Imports bring old history back, so the cutoffs no longer apply.
+const withoutPruneMarkers = ({ prunedBefore, ...user }) => user;
 
-      .auth-card:hover {
-        box-shadow:
-          0 0 0 1px rgba(99,102,241,0.1),
-          0 25px 100px rgba(0,0,0,0.65),
-          0 0 80px rgba(99,102,241,0.09),
-          inset 0 1px 0 rgba(255,255,255,0.07);
-      }
+// CROSS-TAB SYNC
+// Every change to a habit, completion, mood or reflection is stamped with the
+// time it happened. A stamp whose entry no longer exists records a deletion.
+// Tabs tell each other when they have saved; the receiver reloads storage and
+// merges entry by entry, keeping whichever side changed it last. Accounts are
+// stamped `user:<id>` in the app data when created or deleted.
+const nextStamp = (previous) => Math.max(Date.now(), (previous || 0) + 1);
 
-      @keyframes cardReveal {
-        from { opacity: 0; transform: translateY(28px) scale(0.97); }
-        to   { opacity: 1; transform: translateY(0)    scale(1); }
-      }
+const stampAppField = (data, field) => ({ ...data, stamps: { ...data.stamps, [field]: nextStamp(data.stamps?.[field]) } });
 
-      .card-glow-ring {
-        position: absolute;
-        inset: -1px;
-        border-radius: 25px;
-        background: linear-gradient(135deg, rgba(99,102,241,0.2), rgba(56,189,248,0.1), rgba(167,139,250,0.15), rgba(56,189,248,0.08));
-        -webkit-mask: linear-gradient(#fff 0 0) content-box, linear-gradient(#fff 0 0);
-        -webkit-mask-composite: xor;
-        mask-composite: exclude;
-        padding: 1px;
-        pointer-events: none;
-        opacity: 0.6;
-        animation: ringShimmer 6s ease-in-out infinite;
-      }
+const habitFields = ({ completions, slips, currentStreak, longestStreak, ...fields }) => fields;
 
-      @keyframes ringShimmer {
-        0%, 100% { opacity: 0.4; }
-        50%       { opacity: 0.9; }
-      }
+const profileFields = ({ habits, moods, reflections, stamps, ...fields }) => fields;
 
-      .card-bottom-glow {
-        position: absolute;
-        bottom: -20px;
-        left: 10%;
-        right: 10%;
-        height: 40px;
-        background: radial-gradient(ellipse, rgba(99,102,241,0.15) 0%, transparent 70%);
-        filter: blur(12px);
-        pointer-events: none;
-      }
+const withChangeStamps = (prev, next) => {
+  if (!prev) return next;
+  const stamps = { ...prev.stamps, ...next.stamps };
+  const touch = (key) => { stamps[key] = nextStamp(stamps[key]); };
+  const diffDateMap = (prefix, before = {}, after = {}) => {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(date => {
+      if (stableStringify(before[date]) !== stableStringify(after[date])) touch(`${prefix}${date}`);
+    });
+  };
 
-      /* ── BRAND ── */
-      .auth-brand {
-        display: flex;
-        align-items: center;
-        gap: 0.9rem;
-        margin-bottom: 2rem;
-        animation: slideDown 0.7s cubic-bezier(0.16,1,0.3,1) 0.1s both;
-      }
+  const prevHabits = new Map(prev.habits.map(h => [h.id, h]));
+  const nextHabits = new Map(next.habits.map(h => [h.id, h]));
+  new Set([...prevHabits.keys(), ...nextHabits.keys()]).forEach(id => {
+    const before = prevHabits.get(id);
+    const after = nextHabits.get(id);
+    if (!before || !after || stableStringify(habitFields(before)) !== stableStringify(habitFields(after))) touch(`habit:${id}`);
+    if (after) diffDateMap(`completion:${id}:`, before?.completions, after.completions);
+    if (after) diffDateMap(`slip:${id}:`, before?.slips, after.slips);
+  });
+  diffDateMap('mood:', prev.moods, next.moods);
+  diffDateMap('reflection:', prev.reflections, next.reflections);
+  if (stableStringify(profileFields(prev)) !== stableStringify(profileFields(next))) touch('profile');
 
-      @keyframes slideDown {
-        from { opacity: 0; transform: translateY(-12px); }
-        to   { opacity: 1; transform: translateY(0); }
-      }
+  return { ...next, stamps: dropPrunedStamps(stamps, next.prunedBefore) };
+};
 
-      .brand-icon {
-        width: 52px;
-        height: 52px;
-        border-radius: 14px;
-        background: linear-gradient(135deg, rgba(99,102,241,0.2), rgba(56,189,248,0.15));
-        border: 1px solid rgba(167,139,250,0.25);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        flex-shrink: 0;
-        position: relative;
-        animation: iconPulse 4s ease-in-out infinite;
-      }
+const mergeStamps = (a = {}, b = {}) => {
+  const merged = { ...a };
+  Object.entries(b).forEach(([key, stamp]) => { merged[key] = Math.max(merged[key] || 0, stamp); });
+  return merged;
+};
 
-      @keyframes iconPulse {
-        0%, 100% { box-shadow: 0 0 0 0 rgba(99,102,241,0.2); }
-        50%       { box-shadow: 0 0 0 8px rgba(99,102,241,0); }
-      }
+// Later stamp wins. Equal stamps are broken on content so every tab settles on
+// the same value; entries neither side has stamped are kept from either side.
+const chooseSide = (key, localStamps, incomingStamps, localValue, incomingValue) => {
+  const localStamp = localStamps[key] || 0;
+  const incomingStamp = incomingStamps[key] || 0;
+  if (localStamp !== incomingStamp) return incomingStamp > localStamp ? incomingValue : localValue;
+  if (localStamp === 0) return localValue !== undefined ? localValue : incomingValue;
+  return stableStringify(incomingValue ?? null) > stableStringify(localValue ?? null) ? incomingValue : localValue;
+};
 
-      .brand-icon-inner { animation: iconSpin 20s linear infinite; }
-      @keyframes iconSpin {
-        from { transform: rotate(0deg); }
-        to   { transform: rotate(360deg); }
-      }
+const mergeDateMaps = (prefix, local = {}, incoming = {}, localStamps, incomingStamps) => {
+  const merged = {};
+  new Set([...Object.keys(local), ...Object.keys(incoming)]).forEach(date => {
+    const value = chooseSide(`${prefix}${date}`, localStamps, incomingStamps, local[date], incoming[date]);
+    if (value !== undefined) merged[date] = value;
+  });
+  return merged;
+};
 
-      .auth-logo {
-        font-family: 'Cormorant Garamond', serif;
-        font-size: 1.85rem;
-        font-weight: 600;
-        background: linear-gradient(135deg, #c4b5fd 0%, #93c5fd 50%, #a78bfa 100%);
-        -webkit-background-clip: text;
-        -webkit-text-fill-color: transparent;
-        background-clip: text;
-        letter-spacing: 0.02em;
-        line-height: 1.1;
-        margin: 0;
-      }
+const mergeUser = (local, incoming) => {
+  const ls = local.stamps || {};
+  const rs = incoming.stamps || {};
+  const profile = chooseSide('profile', ls, rs, profileFields(local), profileFields(incoming));
+  const incomingHabits = new Map(incoming.habits.map(h => [h.id, h]));
+  const localIds = new Set(local.habits.map(h => h.id));
+  const ids = [...localIds, ...incoming.habits.map(h => h.id).filter(id => !localIds.has(id))];
+
+  const habits = ids.flatMap(id => {
+    const localHabit = local.habits.find(h => h.id === id);
+    const incomingHabit = incomingHabits.get(id);
+    const winner = chooseSide(`habit:${id}`, ls, rs, localHabit, incomingHabit);
+    if (!winner) return [];
+    const completions = dropBefore(
+      mergeDateMaps(`completion:${id}:`, localHabit?.completions, incomingHabit?.completions, ls, rs),
+      profile.prunedBefore?.completions
+    );
+    // Slips are never pruned: the current clean run is counted from the last one.
+    const slips = mergeDateMaps(`slip:${id}:`, localHabit?.slips, incomingHabit?.slips, ls, rs);
+    const unchanged = stableStringify(completions) === stableStringify(winner.completions)
+      && stableStringify(slips) === stableStringify(winner.slips || {});
+    return [unchanged ? winner : recalculateStreaks({ ...winner, completions, ...(isAvoidHabit(winner) && { slips }) })];
+  });
 
-      /* Light mode — darker gradient so it's readable on white */
-      .auth-immersive--light .auth-logo {
-        background: linear-gradient(135deg, #6366f1 0%, #7c3aed 50%, #4f46e5 100%);
-        -webkit-background-clip: text;
-        -webkit-text-fill-color: transparent;
-        background-clip: text;
-      }
+  return {
+    ...profile,
+    habits,
+    moods: mergeDateMaps('mood:', local.moods, incoming.moods, ls, rs),
+    reflections: dropBefore(
+      mergeDateMaps('reflection:', local.reflections, incoming.reflections, ls, rs),
+      profile.prunedBefore?.reflections
+    ),
+    stamps: dropPrunedStamps(mergeStamps(ls, rs), profile.prunedBefore)
+  };
+};
 
-      .auth-tagline {
-        font-size: 0.78rem;
-        color: rgba(148,163,184,0.7);
-        letter-spacing: 0.03em;
-        margin: 0.15rem 0 0;
-        font-weight: 400;
-        font-style: italic;
-        font-family: 'Cormorant Garamond', serif;
+const mergeAppData = (local, incoming) => {
+  const ls = local.stamps || {};
+  const rs = incoming.stamps || {};
+  const localUsers = new Map(local.users.map(u => [u.id, u]));
+  const incomingUsers = new Map(incoming.users.map(u => [u.id, u]));
+  const ids = [...localUsers.keys(), ...incomingUsers.keys()].filter((id, i, all) => all.indexOf(id) === i);
+
+  return {
+    ...local,
+    users: ids.flatMap(id => {
+      const localUser = localUsers.get(id);
+      const incomingUser = incomingUsers.get(id);
+      if (localUser && incomingUser) {
+        // Users this tab cannot decrypt are taken as last saved.
+        return [isSealed(localUser) || isSealed(incomingUser) ? incomingUser : mergeUser(localUser, incomingUser)];
       }
+      // On one side only: created there, or deleted on the other.
+      const kept = chooseSide(`user:${id}`, ls, rs, localUser, incomingUser);
+      return kept ? [kept] : [];
+    }),
+    theme: chooseSide('theme', ls, rs, local.theme, incoming.theme),
+    currentUser: chooseSide('session', ls, rs, local.currentUser, incoming.currentUser) ?? null,
+    stamps: mergeStamps(ls, rs)
+  };
+};
 
-      .auth-immersive--light .auth-tagline { color: rgba(100,100,130,0.75); }
+// UNDO HISTORY
+const MAX_UNDO_HISTORY = 50;
 
-      /* ── TABS ── */
-      .auth-tabs {
-        display: flex;
-        position: relative;
-        background: rgba(255,255,255,0.03);
-        border: 1px solid rgba(255,255,255,0.07);
-        border-radius: 12px;
-        padding: 4px;
-        margin-bottom: 1.8rem;
-        animation: slideDown 0.7s cubic-bezier(0.16,1,0.3,1) 0.15s both;
-      }
+const applyDateMapChanges = (target = {}, from = {}, to = {}) => {
+  const result = { ...target };
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(date => {
+    if (stableStringify(from[date]) === stableStringify(to[date])) return;
+    if (to[date] === undefined) {
+      delete result[date];
+    } else {
+      result[date] = to[date];
+    }
+  });
+  return result;
+};
 
-      .auth-immersive--light .auth-tabs {
-        background: rgba(99,102,241,0.05);
-        border: 1px solid rgba(99,102,241,0.15);
-      }
+// Applies the difference between two snapshots of a user onto a third.
+// Swapping `from` and `to` reverses the change.
+const applyUserChanges = (target, from, to) => {
+  const fromHabits = new Map(from.habits.map(h => [h.id, h]));
+  const toHabits = new Map(to.habits.map(h => [h.id, h]));
+  let habits = target.habits;
+
+  new Set([...fromHabits.keys(), ...toHabits.keys()]).forEach(id => {
+    const before = fromHabits.get(id);
+    const after = toHabits.get(id);
+    if (stableStringify(before) === stableStringify(after)) return;
+    const existing = habits.find(h => h.id === id);
+
+    if (!after) {
+      habits = habits.filter(h => h.id !== id);
+    } else if (!existing) {
+      const index = Math.min(to.habits.findIndex(h => h.id === id), habits.length);
+      habits = [...habits.slice(0, index), after, ...habits.slice(index)];
+    } else if (!before) {
+      habits = habits.map(h => h.id === id ? after : h);
+    } else {
+      const fields = stableStringify(habitFields(before)) !== stableStringify(habitFields(after)) ? habitFields(after) : {};
+      const completions = applyDateMapChanges(existing.completions, before.completions, after.completions);
+      const slips = applyDateMapChanges(existing.slips, before.slips, after.slips);
+      habits = habits.map(h => h.id === id ? recalculateStreaks({ ...existing, ...fields, completions, ...(isAvoidHabit(after) && { slips }) }) : h);
+    }
+  });
 
-      .auth-tab {
-        flex: 1;
-        padding: 0.55rem;
-        background: none;
-        border: none;
-        border-radius: 9px;
-        font-size: 0.85rem;
-        font-weight: 500;
-        color: rgba(148,163,184,0.6);
-        cursor: pointer;
-        position: relative;
-        z-index: 2;
-        transition: color 0.3s ease;
-        font-family: 'DM Sans', sans-serif;
-        letter-spacing: 0.01em;
-      }
+  return {
+    ...target,
+    habits,
+    moods: applyDateMapChanges(target.moods, from.moods, to.moods),
+    reflections: applyDateMapChanges(target.reflections, from.reflections, to.reflections)
+  };
+};
 
-      .auth-tab--active { color: #e2e8f0; }
-      .auth-immersive--light .auth-tab--active { color: #1e1b4b; }
-      .auth-immersive--light .auth-tab:not(.auth-tab--active) { color: rgba(99,102,241,0.5); }
-      .auth-tab:not(.auth-tab--active):hover { color: rgba(148,163,184,0.9); }
-      .auth-immersive--light .auth-tab:not(.auth-tab--active):hover { color: rgba(99,102,241,0.8); }
+class TabSync {
+  constructor(name = 'momentum-sync') {
+    this.name = name;
+    this.tabId = generateId();
+    this.listeners = new Set();
 
-      .auth-tab-indicator {
-        position: absolute;
-        left: 4px;
-        top: 4px;
-        bottom: 4px;
-        width: calc(50% - 4px);
-        background: linear-gradient(135deg, rgba(99,102,241,0.3), rgba(139,92,246,0.2));
-        border: 1px solid rgba(167,139,250,0.25);
-        border-radius: 9px;
-        transition: transform 0.35s cubic-bezier(0.34,1.56,0.64,1);
-        box-shadow: 0 2px 12px rgba(99,102,241,0.15);
-      }
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(name);
+      this.channel.onmessage = (event) => this.dispatch(event.data);
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key === name && event.newValue) this.dispatch(JSON.parse(event.newValue));
+      });
+    }
+  }
 
-      .auth-immersive--light .auth-tab-indicator {
-        background: linear-gradient(135deg, rgba(99,102,241,0.15), rgba(139,92,246,0.1));
-        border: 1px solid rgba(99,102,241,0.3);
-        box-shadow: 0 2px 12px rgba(99,102,241,0.1);
-      }
+  dispatch(message) {
+    if (message?.tabId !== this.tabId) this.listeners.forEach(listener => listener(message));
+  }
 
-      .auth-tab-indicator--right { transform: translateX(100%); }
+  publish(type) {
+    const message = { type, tabId: this.tabId, sentAt: Date.now() };
+    if (this.channel) {
+      this.channel.postMessage(message);
+    } else {
+      localStorage.setItem(this.name, JSON.stringify(message));
+    }
+  }
 
-      /* ── FORM FIELDS ── */
-      .auth-form-new {
-        display: flex;
-        flex-direction: column;
-        gap: 0;
-        animation: slideDown 0.7s cubic-bezier(0.16,1,0.3,1) 0.2s both;
-      }
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
 
-      .form-fields { display: flex; flex-direction: column; gap: 0.6rem; margin-bottom: 1rem; }
+const tabSync = new TabSync();
+
+// REMOTE SYNC
+// Opt-in sync through a self-hosted server (server/sync-server.js). The server
+// keeps one encrypted copy of the user per sync key, plus a version number.
+// Clients pull that copy, merge it with the same per-entry stamps cross-tab
+// sync uses (deletions included), and push the result against the version
+// they pulled; a push that lost a race is rejected and retried. Changes made
+// offline are the entries stamped after the last sync, so no separate queue
+// has to be kept. Connection details are per device and live outside the
+// app data.
+const SYNC_CONFIG_PREFIX = 'momentum_sync_';
+const SYNC_INTERVAL = 5 * 60 * 1000;
+const SYNC_DEBOUNCE = 3000;
+const SYNC_MAX_ATTEMPTS = 3;
+
+const loadSyncConfig = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${SYNC_CONFIG_PREFIX}${userId}`)) || null;
+  } catch (error) {
+    return null;
+  }
+};
 
-      .auth-field {
-        position: relative;
-        display: flex;
-        align-items: center;
-        background: rgba(255,255,255,0.03);
-        border: 1px solid rgba(255,255,255,0.08);
-        border-radius: 13px;
-        transition: all 0.3s ease;
-        overflow: hidden;
-        height: 58px;
-      }
+const saveSyncConfig = (userId, config) => {
+  if (config) {
+    localStorage.setItem(`${SYNC_CONFIG_PREFIX}${userId}`, JSON.stringify(config));
+  } else {
+    localStorage.removeItem(`${SYNC_CONFIG_PREFIX}${userId}`);
+  }
+};
 
-      .auth-immersive--light .auth-field {
-        background: rgba(99,102,241,0.04);
-        border: 1px solid rgba(99,102,241,0.15);
-      }
+const generateSyncKey = () => randomBase64(32).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 
-      .auth-field::before {
-        content: '';
-        position: absolute;
-        inset: 0;
-        border-radius: 13px;
-        background: linear-gradient(135deg, rgba(99,102,241,0.08), transparent);
-        opacity: 0;
-        transition: opacity 0.3s ease;
-      }
+const countPendingChanges = (user, since = 0) => Object.values(user.stamps || {}).filter(stamp => stamp > since).length;
 
-      .auth-field--focused {
-        border-color: rgba(167,139,250,0.45);
-        background: rgba(99,102,241,0.07);
-        box-shadow: 0 0 0 3px rgba(99,102,241,0.1), 0 4px 20px rgba(99,102,241,0.08);
-      }
+const latestStamp = (user) => Object.values(user.stamps || {}).reduce((max, stamp) => Math.max(max, stamp), 0);
 
-      .auth-immersive--light .auth-field--focused {
-        border-color: rgba(99,102,241,0.5);
-        background: rgba(99,102,241,0.06);
-        box-shadow: 0 0 0 3px rgba(99,102,241,0.12), 0 4px 20px rgba(99,102,241,0.06);
-      }
+class SyncClient {
+  constructor({ url, key }) {
+    this.url = url.replace(/\/+$/, '');
+    this.key = key;
+  }
 
-      .auth-field--focused::before { opacity: 1; }
+  async request(method, body) {
+    let response;
+    try {
+      response = await fetch(`${this.url}/v1/document`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.key}`,
+          ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body && JSON.stringify(body)
+      });
+    } catch (error) {
+      throw Object.assign(new Error('The sync server could not be reached'), { offline: true });
+    }
+    if (response.status === 404 || response.status === 409) return { status: response.status };
+    if (response.status === 401) throw new Error('The sync server did not accept this sync key');
+    if (!response.ok) throw new Error(`The sync server responded with ${response.status}`);
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  }
 
-      .field-icon {
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        width: 44px;
-        flex-shrink: 0;
-        color: rgba(148,163,184,0.4);
-        transition: color 0.3s ease;
-        position: relative;
-        z-index: 2;
-        align-self: stretch;
-        padding-top: 0;
-      }
+  // Resolves to `{ version, document }`, or null if nothing is stored yet.
+  async pull() {
+    const { status, body } = await this.request('GET');
+    return status === 404 ? null : body;
+  }
 
-      .auth-field--focused .field-icon,
-      .auth-field--filled .field-icon { color: #a78bfa; }
+  // Resolves to the new version, or null if `baseVersion` is out of date.
+  async push(document, baseVersion) {
+    const { status, body } = await this.request('PUT', { baseVersion, document });
+    return status === 409 ? null : body.version;
+  }
 
-      .auth-immersive--light .auth-field--focused .field-icon,
-      .auth-immersive--light .auth-field--filled .field-icon { color: #6366f1; }
+  async remove() {
+    await this.request('DELETE');
+  }
+}
 
-      /* FIX: Input uses padding-top to clear the floating label space */
-      .auth-field input {
-        flex: 1;
-        height: 100%;
-        background: none;
-        border: none;
-        outline: none;
-        font-size: 0.9rem;
-        color: #e2e8f0;
-        font-family: 'DM Sans', sans-serif;
-        font-weight: 400;
-        padding: 18px 0.5rem 0 0;
-        position: relative;
-        z-index: 2;
-        letter-spacing: 0.01em;
-        width: 0; /* forces flex shrink to work correctly */
-        min-width: 0;
-      }
+const checkSyncOwner = (remote, userId) => {
+  if (remote && remote.document?.id !== userId) throw new Error('This sync key belongs to a different account');
+};
 
-      .auth-immersive--light .auth-field input { color: #1e1b4b; }
+// Returns the user as merged with the server copy.
+const syncUser = async (client, user) => {
+  for (let attempt = 0; attempt < SYNC_MAX_ATTEMPTS; attempt++) {
+    const remote = await client.pull();
+    checkSyncOwner(remote, user.id);
+    const issues = [];
+    const remoteUser = remote && await userVault.open(remote.document, issues);
+    if (remoteUser) await storage.quarantineSealedUsers([remote.document], issues);
+    const merged = remoteUser ? mergeUser(user, remoteUser) : user;
+    if (remoteUser && stableStringify(merged) === stableStringify(remoteUser)) return merged;
+    const version = await client.push(await userVault.seal(merged), remote?.version || 0);
+    if (version !== null) return merged;
+  }
+  throw new Error('The server copy kept changing during sync. It will be retried.');
+};
 
-      .auth-field input::placeholder {
-        color: transparent; /* Hide placeholder — label serves that role */
-      }
+// AUTO-LOCK
+// After `security.lockTimeout` minutes without input, or on returning to a tab
+// hidden for longer than that, the app is covered by a lock screen until the
+// PIN or password is entered. This hides the UI only; the data key stays
+// loaded, just as it does across reloads. Last activity and the lock itself
+// are kept per device so a reload does not get around the lock, and activity
+// in any tab keeps the others unlocked.
+const LOCK_TIMEOUT_OPTIONS = [
+  { minutes: 0, label: 'Never' },
+  { minutes: 1, label: 'After 1 minute' },
+  { minutes: 5, label: 'After 5 minutes' },
+  { minutes: 15, label: 'After 15 minutes' },
+  { minutes: 30, label: 'After 30 minutes' },
+  { minutes: 60, label: 'After 1 hour' }
+];
+const ACTIVITY_KEY_PREFIX = 'momentum_activity_';
+const ACTIVITY_WRITE_INTERVAL = 10000;
+const LOCK_CHECK_INTERVAL = 15000;
+const PIN_PATTERN = /^\d{4,6}$/;
+const MAX_PIN_ATTEMPTS = 5;
+
+const getLockTimeout = (user) => (user?.security?.lockTimeout || 0) * 60 * 1000;
+
+const loadActivity = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${ACTIVITY_KEY_PREFIX}${userId}`)) || null;
+  } catch (error) {
+    return null;
+  }
+};
 
-      /* Show placeholder only when NOT focused and NOT filled (fallback) */
-      .auth-field:not(.auth-field--focused):not(.auth-field--filled) input::placeholder {
-        color: rgba(148,163,184,0.35);
-      }
+const saveActivity = (userId, activity) => {
+  if (activity) {
+    localStorage.setItem(`${ACTIVITY_KEY_PREFIX}${userId}`, JSON.stringify(activity));
+  } else {
+    localStorage.removeItem(`${ACTIVITY_KEY_PREFIX}${userId}`);
+  }
+};
 
-      /* FIX: Label always starts centered, lifts when focused or filled */
-      .auth-field label {
-        position: absolute;
-        left: 44px;
-        right: 44px; /* prevent overlap with eye button */
-        top: 50%;
-        transform: translateY(-50%);
-        font-size: 0.88rem;
-        color: rgba(148,163,184,0.5);
-        pointer-events: none;
-        transition: all 0.22s cubic-bezier(0.4, 0, 0.2, 1);
-        z-index: 3;
-        font-family: 'DM Sans', sans-serif;
-        font-weight: 400;
-        white-space: nowrap;
-        overflow: hidden;
-        text-overflow: ellipsis;
-      }
+// Every sign-in writes an activity record first, so a session with none has
+// had it cleared and starts locked rather than trusting that.
+const isLockDue = (user, activity, now = Date.now()) => {
+  if (!activity) return Boolean(user?.security?.pin || getLockTimeout(user));
+  if (activity.locked) return true;
+  const timeout = getLockTimeout(user);
+  return Boolean(timeout && activity?.lastActiveAt && now - activity.lastActiveAt > timeout);
+};
 
-      .auth-immersive--light .auth-field label { color: rgba(99,102,241,0.5); }
+// HABIT TIMERS
+// Running timers for duration habits are kept per device so they survive a
+// reload and show in every tab. Each is `{ dateKey, startedAt, elapsed }`:
+// `startedAt` is set while it runs and `elapsed` holds the milliseconds
+// counted before the last pause.
+const TIMER_KEY_PREFIX = 'momentum_timers_';
+
+const loadTimers = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${TIMER_KEY_PREFIX}${userId}`)) || {};
+  } catch (error) {
+    return {};
+  }
+};
 
-      /* When focused OR filled: lift label to top */
-      .auth-field--focused label,
-      .auth-field--filled label {
-        top: 10px;
-        transform: translateY(0);
-        font-size: 0.67rem;
-        color: #a78bfa;
-        letter-spacing: 0.06em;
-        text-transform: uppercase;
-        font-weight: 600;
-      }
+const saveTimers = (userId, timers) => {
+  if (Object.keys(timers).length > 0) {
+    localStorage.setItem(`${TIMER_KEY_PREFIX}${userId}`, JSON.stringify(timers));
+  } else {
+    localStorage.removeItem(`${TIMER_KEY_PREFIX}${userId}`);
+  }
+};
 
-      .auth-immersive--light .auth-field--focused label,
-      .auth-immersive--light .auth-field--filled label { color: #6366f1; }
+const getTimerElapsed = (timer, now = Date.now()) => timer.elapsed + (timer.startedAt ? now - timer.startedAt : 0);
 
-      .field-underline {
-        position: absolute;
-        bottom: 0;
-        left: 10%;
-        right: 10%;
-        height: 1px;
-        background: linear-gradient(90deg, transparent, #a78bfa, transparent);
-        transform: scaleX(0);
-        transition: transform 0.4s cubic-bezier(0.34,1.56,0.64,1);
-      }
+const formatTimer = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  return `${hours ? `${hours}:` : ''}${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
 
-      .auth-immersive--light .field-underline {
-        background: linear-gradient(90deg, transparent, #6366f1, transparent);
-      }
+// BACKUP & RESTORE
+const BACKUP_FORMAT = 'momentum-backup';
+
+const buildBackup = (user) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  user: {
+    name: user.name,
+    email: user.email,
+    createdAt: user.createdAt,
+    habits: user.habits,
+    moods: user.moods || {},
+    reflections: user.reflections || {}
+  }
+});
+
+const recalculateStreaks = (habit) => ({ ...habit, ...calculateStreaks(habit, habit.completions || {}, new Date()) });
+
+// Habits sharing an id are collapsed into one, keeping the first copy's
+// fields and the union of all completions.
+const dedupeHabits = (habits) => {
+  const byId = new Map();
+  habits.forEach(habit => {
+    const existing = habit && byId.get(habit.id);
+    if (existing) {
+      byId.set(habit.id, {
+        ...existing,
+        completions: { ...habit.completions, ...existing.completions },
+        ...(isAvoidHabit(existing) && { slips: { ...habit.slips, ...existing.slips } })
+      });
+    } else if (habit) {
+      byId.set(habit.id ?? generateId(), habit);
+    }
+  });
+  return [...byId.values()];
+};
 
-      .auth-field--focused .field-underline { transform: scaleX(1); }
+// Runs a backup file through the same validation and schema migrations as
+// stored data, so older exports import cleanly.
+const parseBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (!isPlainObject(parsed) || parsed.format !== BACKUP_FORMAT || !isPlainObject(parsed.user)) {
+    throw new Error('This file is not a Momentum backup.');
+  }
+  if (!Number.isInteger(parsed.schemaVersion) || parsed.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of Momentum.');
+  }
 
-      .field-eye-btn {
-        background: none;
-        border: none;
-        padding: 0 14px 0 6px;
-        height: 100%;
-        color: rgba(148,163,184,0.35);
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        transition: color 0.3s ease;
-        position: relative;
-        z-index: 3;
-        flex-shrink: 0;
-      }
-      .field-eye-btn:hover { color: #a78bfa; }
-      .auth-immersive--light .field-eye-btn { color: rgba(99,102,241,0.35); }
-      .auth-immersive--light .field-eye-btn:hover { color: #6366f1; }
+  const habits = Array.isArray(parsed.user.habits) ? dedupeHabits(parsed.user.habits) : parsed.user.habits;
+  const wrapped = {
+    schemaVersion: parsed.schemaVersion,
+    currentUser: null,
+    users: [{ ...parsed.user, habits, id: 'import', email: String(parsed.user.email ?? '') }]
+  };
+  const { data, issues } = validateData(wrapped);
+  if (data.users.length === 0) throw new Error('This backup does not contain any account data.');
 
-      /* ── ERROR ── */
-      .auth-error {
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-        padding: 0.65rem 0.9rem;
-        background: rgba(239,68,68,0.08);
-        border: 1px solid rgba(239,68,68,0.2);
-        border-radius: 10px;
-        color: #fca5a5;
-        font-size: 0.82rem;
-        margin-bottom: 0.8rem;
-        animation: errorShake 0.4s ease;
-      }
+  const { id, ...user } = migrateData(data).users[0];
+  return { user, issues, exportedAt: parsed.exportedAt };
+};
 
-      .auth-immersive--light .auth-error {
-        background: rgba(239,68,68,0.06);
-        color: #dc2626;
-      }
+const mergeUserData = (current, incoming) => {
+  const incomingById = new Map(incoming.habits.map(h => [h.id, h]));
+  const merged = current.habits.map(habit => {
+    const match = incomingById.get(habit.id);
+    if (!match) return habit;
+    incomingById.delete(habit.id);
+    return recalculateStreaks({
+      ...habit,
+      completions: { ...match.completions, ...habit.completions },
+      ...(isAvoidHabit(habit) && { slips: { ...match.slips, ...habit.slips } })
+    });
+  });
 
-      @keyframes errorShake {
-        0%, 100% { transform: translateX(0); }
-        20%  { transform: translateX(-5px); }
-        40%  { transform: translateX(5px); }
-        60%  { transform: translateX(-3px); }
-        80%  { transform: translateX(3px); }
-      }
+  return {
+    ...current,
+    habits: [...merged, ...[...incomingById.values()].map(recalculateStreaks)],
+    moods: { ...incoming.moods, ...current.moods },
+    reflections: { ...incoming.reflections, ...current.reflections }
+  };
+};
 
-      /* ── SUBMIT BUTTON ── */
-      .auth-submit {
-        position: relative;
-        width: 100%;
-        height: 52px;
-        background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 50%, #6366f1 100%);
-        border: none;
-        border-radius: 13px;
-        color: white;
-        font-family: 'DM Sans', sans-serif;
-        font-size: 0.92rem;
-        font-weight: 600;
-        letter-spacing: 0.04em;
-        cursor: pointer;
-        overflow: hidden;
-        transition: all 0.3s ease;
-        box-shadow: 0 4px 20px rgba(99,102,241,0.3), 0 1px 3px rgba(0,0,0,0.4);
-        margin-bottom: 0.9rem;
-      }
+const replaceUserData = (current, incoming) => ({
+  ...current,
+  habits: incoming.habits.map(recalculateStreaks),
+  moods: incoming.moods,
+  reflections: incoming.reflections
+});
+
+// CSV EXPORT
+// Text that a spreadsheet would read as a formula (a habit called
+// "=HYPERLINK(...)") is prefixed with an apostrophe so it stays text.
+const toCSV = (rows) => rows
+  .map(row => row.map(cell => {
+    const raw = cell === null || cell === undefined ? '' : String(cell);
+    const text = typeof cell === 'string' && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n');
+
+// Excel only detects UTF-8 (emoji, accents) when the file starts with a BOM.
+const downloadCSV = (filename, rows) => downloadFile(filename, `\uFEFF${toCSV(rows)}`, 'text/csv;charset=utf-8');
+
+const inRange = (dateKey, { from, to }) => (!from || dateKey >= from) && (!to || dateKey <= to);
+
+// One row per habit per day. Streaks are counted from the habit's first day
+// so a row's streak is correct even when the range starts mid-streak, and by
+// the same rules as the app: due days, skips, pauses and freezes for
+// scheduled habits, periods for quota habits and clean days for habits being
+// broken.
+const buildCompletionRows = (user, range, habitIds) => {
+  const rows = [['date', 'habit', 'completed', 'value', 'streak']];
+  const today = getDateKey(new Date());
+  user.habits
+    .filter(habit => !habitIds || habitIds.includes(habit.id))
+    .forEach(habit => {
+      const completions = habit.completions || {};
+      const firstKey = [habit.createdAt && getDateKey(habit.createdAt), habit.cleanSince, ...Object.keys(completions)]
+        .filter(dateKey => DATE_KEY_PATTERN.test(dateKey || '')).sort()[0];
+      if (!firstKey) return;
+      const lastKey = range.to && range.to < today ? range.to : today;
+      const prunedBefore = user.prunedBefore?.completions || '';
+      const scheduled = !isAvoidHabit(habit) && !isQuotaHabit(habit) && walkScheduledDays(habit, completions, today);
+      let streak = 0;
+      // Quota habits count periods: the met periods before this one, plus
+      // this one once its quota is reached.
+      let period = null;
+      let periodDone = 0;
+      let metPeriods = 0;
+      eachDateKey(firstKey, lastKey).forEach(dateKey => {
+        const completed = isHabitDoneOn(habit, dateKey);
+        const value = isAvoidHabit(habit) ? habit.slips?.[dateKey] || 0 : isMeasuredHabit(habit) ? getLoggedAmount(habit, dateKey) : '';
+        if (scheduled) {
+          streak = scheduled.runs[dateKey] || 0;
+        } else if (isQuotaHabit(habit)) {
+          const start = getPeriodStart(habit, dateKey);
+          if (start !== period) {
+            const closing = period && getQuotaRequired(habit, period);
+            if (closing) metPeriods = periodDone >= closing ? metPeriods + 1 : 0;
+            period = start;
+            periodDone = 0;
+          }
+          if (completed) periodDone++;
+          const required = getQuotaRequired(habit, period);
+          streak = metPeriods + (required > 0 && periodDone >= required ? 1 : 0);
+        } else {
+          streak = completed ? streak + 1 : 0;
+        }
+        const status = completed ? 'yes' : isSkipped(habit, dateKey) ? 'skipped' : 'no';
+        if (dateKey >= prunedBefore && inRange(dateKey, range)) rows.push([dateKey, habit.name, status, value, streak]);
+      });
+    });
+  return rows;
+};
 
-      .auth-submit:hover:not(:disabled) {
-        transform: translateY(-2px);
-        box-shadow: 0 8px 30px rgba(99,102,241,0.45), 0 2px 6px rgba(0,0,0,0.4);
-        background: linear-gradient(135deg, #5a51e8 0%, #8b44f0 50%, #7275f4 100%);
-      }
+const buildMoodRows = (user, range) => [
+  ['date', 'mood', 'label'],
+  ...Object.entries(user.moods || {})
+    .filter(([dateKey]) => inRange(dateKey, range))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dateKey, value]) => [dateKey, value, moodOptions.find(m => m.value === value)?.label])
+];
 
-      .auth-submit:active:not(:disabled) { transform: translateY(0); }
-      .auth-submit:disabled { cursor: not-allowed; opacity: 0.8; }
+const buildReflectionRows = (user, range) => [
+  ['date', 'reflection'],
+  ...Object.entries(user.reflections || {})
+    .filter(([dateKey, text]) => text && inRange(dateKey, range))
+    .sort(([a], [b]) => a.localeCompare(b))
+];
 
-      .auth-submit--success {
-        background: linear-gradient(135deg, #059669, #10b981) !important;
-        box-shadow: 0 8px 30px rgba(16,185,129,0.35) !important;
-        animation: successPop 0.4s cubic-bezier(0.34,1.56,0.64,1);
+// HISTORY IMPORT
+// Reads exports from other trackers: Loop Habit Tracker's Checkmarks.csv (one
+// column per habit, optionally with Habits.csv for descriptions) and generic
+// long "date,habit,value" files. The column mapping is guessed, then shown to
+// the user to confirm or correct before anything is imported.
+const parseCSV = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
       }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
 
-      @keyframes successPop {
-        0%   { transform: scale(0.96); }
-        60%  { transform: scale(1.03); }
-        100% { transform: scale(1); }
-      }
+const isLoopHabitsFile = (header) => header.includes('Position') && header.includes('Name');
 
-      .submit-text {
-        position: relative;
-        z-index: 2;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        gap: 0.4rem;
-      }
+const guessImportMapping = (header, filename) => {
+  const lower = header.map(h => h.trim().toLowerCase());
+  const find = (...names) => lower.findIndex(h => names.includes(h));
+  const dateColumn = Math.max(0, find('date', 'day', 'timestamp'));
+  const habitColumn = find('habit', 'habit name', 'name', 'task');
+  const valueColumn = find('value', 'completed', 'done', 'status', 'count');
 
-      .submit-spinner {
-        width: 18px;
-        height: 18px;
-        border: 2px solid rgba(255,255,255,0.3);
-        border-top-color: white;
-        border-radius: 50%;
-        animation: spinnerRotate 0.8s linear infinite;
-        display: inline-block;
-      }
+  if (/checkmarks/i.test(filename)) return { layout: 'wide', dateColumn, rule: 'loop' };
+  if (habitColumn === -1) return { layout: 'wide', dateColumn, rule: 'positive' };
+  return { layout: 'long', dateColumn, habitColumn, valueColumn, rule: 'positive' };
+};
 
-      @keyframes spinnerRotate { to { transform: rotate(360deg); } }
+const toImportDateKey = (cell) => {
+  const text = String(cell ?? '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  return text && !Number.isNaN(parsed.getTime()) ? getDateKey(parsed) : null;
+};
 
-      .submit-shine {
-        position: absolute;
-        top: 0;
-        left: -100%;
-        width: 60%;
-        height: 100%;
-        background: linear-gradient(90deg, transparent, rgba(255,255,255,0.12), transparent);
-        animation: shineSweep 3.5s ease-in-out infinite;
-      }
+// Loop writes 2 for a manual check, 1 for days implied by the habit's
+// frequency, 0/-1 for misses/unknown and 3 for skips. Numeric Loop habits
+// store the amount x1000.
+const isImportedCompletion = (cell, rule) => {
+  const text = String(cell ?? '').trim().toLowerCase();
+  const number = Number(text);
+  if (rule === 'loop') return number === 2 || number >= 1000;
+  return ['yes', 'y', 'true', 'x', 'done', 'completed', '✓', '✔'].includes(text) || (text !== '' && number > 0);
+};
 
-      @keyframes shineSweep {
-        0%   { left: -100%; }
-        30%  { left: 150%; }
-        100% { left: 150%; }
-      }
+const isImportedSkip = (cell, rule) => rule === 'loop' && String(cell ?? '').trim() === '3';
 
-      /* ── SWITCH ── */
-      .auth-switch {
-        background: none;
-        border: none;
-        width: 100%;
-        text-align: center;
-        font-family: 'DM Sans', sans-serif;
-        font-size: 0.82rem;
-        color: rgba(148,163,184,0.5);
-        cursor: pointer;
-        padding: 0.3rem;
-        transition: color 0.3s ease;
-        letter-spacing: 0.01em;
-      }
-      .auth-immersive--light .auth-switch { color: rgba(99,102,241,0.5); }
-      .auth-switch span {
-        color: #a78bfa;
-        font-weight: 500;
-        transition: all 0.3s ease;
+const readImportedCell = (cell, rule) => {
+  if (isImportedCompletion(cell, rule)) return true;
+  return isImportedSkip(cell, rule) ? SKIPPED : null;
+};
+
+const buildImportedHabits = (rows, mapping) => {
+  const [header, ...dataRows] = rows;
+  const byName = new Map();
+  let skippedRows = 0;
+  const addCompletion = (name, dateKey, value = true) => {
+    const key = name.trim();
+    if (!key || !value) return;
+    if (!byName.has(key)) byName.set(key, { name: key, completions: {} });
+    byName.get(key).completions[dateKey] = value;
+  };
+
+  dataRows.forEach(row => {
+    const dateKey = toImportDateKey(row[mapping.dateColumn]);
+    if (!dateKey) {
+      skippedRows++;
+      return;
+    }
+    if (mapping.layout === 'wide') {
+      header.forEach((name, col) => {
+        if (col !== mapping.dateColumn) addCompletion(name, dateKey, readImportedCell(row[col], mapping.rule));
+      });
+    } else {
+      addCompletion(row[mapping.habitColumn] ?? '', dateKey, mapping.valueColumn === -1 || readImportedCell(row[mapping.valueColumn], mapping.rule));
+    }
+  });
+
+  // Habits with no completions still show up for wide files, where the column
+  // header is the only record of them.
+  if (mapping.layout === 'wide') {
+    header.forEach((name, col) => {
+      if (col !== mapping.dateColumn && name.trim() && !byName.has(name.trim())) byName.set(name.trim(), { name: name.trim(), completions: {} });
+    });
+  }
+
+  return { habits: [...byName.values()], skippedRows };
+};
+
+const readLoopHabitDetails = (rows) => {
+  const [header, ...dataRows] = rows;
+  const col = (name) => header.indexOf(name);
+  return new Map(dataRows.map(row => [
+    row[col('Name')]?.trim(),
+    { description: row[col('Description')] || row[col('Question')] || '' }
+  ]));
+};
+
+const mergeImportedHabits = (user, imported) => {
+  const findExisting = (name) => user.habits.find(h => h.name.trim().toLowerCase() === name.toLowerCase());
+  const updated = user.habits.map(habit => {
+    const match = imported.find(i => i.name.toLowerCase() === habit.name.trim().toLowerCase());
+    return match ? recalculateStreaks({ ...habit, completions: { ...habit.completions, ...match.completions } }) : habit;
+  });
+  const created = imported
+    .filter(i => !findExisting(i.name))
+    .map(i => {
+      const firstKey = Object.keys(i.completions).sort()[0];
+      return recalculateStreaks({
+        id: generateId(),
+        name: i.name,
+        description: i.description || '',
+        frequency: 'daily',
+        selectedDays: [],
+        difficulty: 'medium',
+        createdAt: (firstKey ? parseDateKey(firstKey) : new Date()).toISOString(),
+        completions: i.completions,
+        currentStreak: 0,
+        longestStreak: 0
+      });
+    });
+  return { ...user, habits: [...updated, ...created] };
+};
+
+// ICALENDAR EXPORT
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const escapeICSText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 caps content lines at 75 octets; longer ones continue on the next
+// line after a single leading space.
+const foldICSLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const toICSDate = (date) => getDateKey(date).replace(/-/g, '');
+
+const toICSTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const getFirstScheduledDate = (habit) => {
+  if (isIntervalHabit(habit)) return parseDateKey(habit.intervalStart);
+  const start = new Date(habit.createdAt);
+  if (habit.frequency !== 'weekly') return start;
+  // A week holds every weekday once, so seven steps are enough to find one.
+  for (let i = 0; i < 7 && !habit.selectedDays.includes(start.getDay()); i++) start.setDate(start.getDate() + 1);
+  return start;
+};
+
+const buildHabitEvent = (habit, now) => {
+  const start = getFirstScheduledDate(habit);
+  const rule = habit.frequency === 'weekly'
+    ? `FREQ=WEEKLY;BYDAY=${[...habit.selectedDays].sort().map(d => ICS_WEEKDAYS[d]).join(',')}`
+    : isIntervalHabit(habit) ? `FREQ=DAILY;INTERVAL=${habit.intervalDays}` : 'FREQ=DAILY';
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${habit.id}@momentum-habit-tracker`,
+    `DTSTAMP:${toICSTimestamp(now)}`
+  ];
+
+  // Without a reminder time the habit is an all-day event; with one it is a
+  // short event in the calendar's local time zone plus an alarm.
+  if (habit.reminderTime) {
+    const time = habit.reminderTime.replace(':', '');
+    lines.push(`DTSTART:${toICSDate(start)}T${time}00`, 'DURATION:PT15M');
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${toICSDate(start)}`);
+  }
+  lines.push(`RRULE:${rule}`, `SUMMARY:${escapeICSText(habit.name)}`);
+  if (habit.description) lines.push(`DESCRIPTION:${escapeICSText(habit.description)}`);
+  if (habit.reminderTime) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeICSText(habit.name)}`, 'TRIGGER:PT0M', 'END:VALARM');
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// "Specific Days" habits without any days selected never come due, so they
+// are left out rather than exported as an empty rule. Habits being broken
+// and quota habits, which can be done on any days, have nothing to schedule.
+const isCalendarExportable = (habit) => !isAvoidHabit(habit) && !isQuotaHabit(habit) && (habit.frequency !== 'weekly' || habit.selectedDays?.length > 0);
+
+const buildICS = (habits) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Momentum//Habit Tracker//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Momentum Habits',
+    ...habits.filter(isCalendarExportable).flatMap(habit => buildHabitEvent(habit, now)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldICSLine).join('\r\n')}\r\n`;
+};
+
+const toFileSlug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'habit';
+
+const downloadICS = (habits, name) => downloadFile(`${name}.ics`, buildICS(habits), 'text/calendar;charset=utf-8');
+
+// MAIN APP
+export default function HabitTracker() {
+  const [appData, setAppData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [theme, setTheme] = useState('dark');
+  const [currentView, setCurrentView] = useState('dashboard');
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [selectedMonth, setSelectedMonth] = useState(new Date());
+  const [showAddHabit, setShowAddHabit] = useState(false);
+  const [editingHabit, setEditingHabit] = useState(null);
+  const [selectedHabitForAnalytics, setSelectedHabitForAnalytics] = useState(null);
+  const [recovery, setRecovery] = useState(null);
+  const [toast, setToast] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [rememberedIds, setRememberedIds] = useState([]);
+  const [authTarget, setAuthTarget] = useState(null);
+  const [timers, setTimers] = useState({});
+  const lastActivityRef = useRef(Date.now());
+  const [syncConfig, setSyncConfig] = useState(null);
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle' });
+  const syncingRef = useRef(false);
+  const historyRef = useRef({ undo: [], redo: [] });
+  const shortcutsRef = useRef(null);
+  const appDataRef = useRef(null);
+  const remoteUpdateRef = useRef(false);
+  appDataRef.current = appData;
+
+  useEffect(() => {
+    const init = async () => {
+      const data = await storage.loadData();
+      const report = storage.takeRecoveryReport();
+      setTheme(data.theme || 'dark');
+
+      // Nothing is saved until the user has seen what went wrong.
+      if (report) {
+        setRecovery({ report, data });
+        setLoading(false);
+        return;
+      }
+
+      await startWithData(data);
+    };
+    init();
+  }, []);
+
+  const startWithData = async (loaded) => {
+    const data = await restoreSession(loaded);
+    setAppData(data);
+    setTheme(data.theme || 'dark');
+    
+    if (data.currentUser) {
+      const user = data.users.find(u => u.id === data.currentUser);
+      if (user) setCurrentUser(user);
+    }
+    
+    setLoading(false);
+    
+    if ('Notification' in window) {
+      await Notification.requestPermission();
+    }
+  };
+
+  // Reopens the signed-in user with the key kept from their last sign-in.
+  // Without it (or if it no longer fits) they are asked to sign in again.
+  // Another tab, or an earlier visit, may have left the user's key behind.
+  const unlockWithSessionKey = async (userId) => {
+    const key = await storage.loadSessionKey(userId);
+    if (key) userVault.unlock(userId, key);
+    return Boolean(key);
+  };
+
+  const restoreSession = async (data) => {
+    const user = data.users.find(u => u.id === data.currentUser);
+    if (!user?.vault) return data;
+
+    if (await unlockWithSessionKey(user.id)) {
+      try {
+        return await openStoredData(data);
+      } catch (error) {
+        console.warn('Could not decrypt saved session:', error);
+        await userVault.lock(data, user.id);
+      }
+    }
+    return { ...data, currentUser: null };
+  };
+
+  const continueAfterRecovery = () => {
+    const { data, resume } = recovery;
+    setRecovery(null);
+    if (!resume) startWithData(data);
+  };
+
+  // Problems found while decrypting a user (at sign-in, from another tab or
+  // from the sync server) are reported once the opened data is in place.
+  useEffect(() => {
+    if (!appData) return;
+    const report = storage.takeRecoveryReport();
+    if (report) setRecovery({ report, data: appData, resume: true });
+  }, [appData]);
+
+  // Every save writes the full state, so after a failure the unsaved changes
+  // stay in memory and go out with the next save that succeeds.
+  const persist = (data, announce) => storage.saveData(data).then(saved => {
+    setSaveError(saved ? null : (isQuotaError(storage.lastSaveError) ? 'quota' : 'error'));
+    if (saved && announce) tabSync.publish('saved');
+  });
+
+  const retrySave = () => persist(appDataRef.current, true);
+
+  useEffect(() => {
+    if (appData && !loading) {
+      // State merged in from another tab is saved, but not announced back.
+      const fromRemote = remoteUpdateRef.current;
+      remoteUpdateRef.current = false;
+      persist(appData, !fromRemote);
+    }
+  }, [appData, loading]);
+
+  useEffect(() => {
+    if (!saveError) return;
+    const warnUnsaved = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warnUnsaved);
+    return () => window.removeEventListener('beforeunload', warnUnsaved);
+  }, [saveError]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || !shortcutsRef.current) return;
+      // Text fields keep the browser's own undo.
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        shortcutsRef.current.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        shortcutsRef.current.redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => tabSync.subscribe(async () => {
+    if (!appDataRef.current) return;
+    let incoming;
+    try {
+      const saved = await storage.loadData();
+      if (saved.currentUser && !userVault.isUnlocked(saved.currentUser)) await unlockWithSessionKey(saved.currentUser);
+      incoming = await openStoredData(saved);
+    } catch (error) {
+      console.warn('Could not decrypt changes from another tab:', error);
+      return;
+    }
+    const previousUser = appDataRef.current.currentUser;
+    let merged = mergeAppData(appDataRef.current, incoming);
+    if (merged.currentUser !== previousUser) {
+      historyRef.current = { undo: [], redo: [] };
+      setToast(null);
+      if (previousUser && userVault.isUnlocked(previousUser)) merged = await userVault.lock(merged, previousUser);
+    }
+    remoteUpdateRef.current = true;
+    setAppData(merged);
+    setTheme(merged.theme || 'dark');
+    setCurrentUser(merged.users.find(u => u.id === merged.currentUser) || null);
+    setSyncConfig(merged.currentUser ? loadSyncConfig(merged.currentUser) : null);
+    if (!merged.currentUser) setCurrentView('dashboard');
+  }), []);
+
+  useEffect(() => {
+    setSyncConfig(currentUser ? loadSyncConfig(currentUser.id) : null);
+    setSyncStatus({ state: 'idle' });
+  }, [currentUser?.id]);
+
+  // A session restored on load starts locked if it was left idle too long.
+  useEffect(() => {
+    if (!currentUser) return setLocked(false);
+    const activity = loadActivity(currentUser.id);
+    const due = isLockDue(currentUser, activity);
+    if (due) saveActivity(currentUser.id, { ...activity, locked: true });
+    setLocked(due);
+  }, [currentUser?.id]);
+
+  const lockApp = () => {
+    saveActivity(currentUser.id, { ...loadActivity(currentUser.id), lastActiveAt: lastActivityRef.current, locked: true });
+    setLocked(true);
+    setToast(null);
+    setShowAddHabit(false);
+    setEditingHabit(null);
+  };
+
+  // Called by every sign-in path, so entering credentials never lands on the lock screen.
+  const markSignedIn = (userId) => {
+    lastActivityRef.current = Date.now();
+    saveActivity(userId, { lastActiveAt: lastActivityRef.current, locked: false });
+  };
+
+  useEffect(() => {
+    if (!currentUser || locked) return;
+    const userId = currentUser.id;
+    const timeout = getLockTimeout(currentUser);
+    let lastWrite = 0;
+
+    const markActive = () => {
+      const now = Date.now();
+      lastActivityRef.current = now;
+      if (now - lastWrite > ACTIVITY_WRITE_INTERVAL) {
+        lastWrite = now;
+        saveActivity(userId, { ...loadActivity(userId), lastActiveAt: now });
+      }
+    };
+    // Locking in one tab locks the others too.
+    const checkIdle = () => {
+      const activity = loadActivity(userId);
+      if (activity?.locked) return setLocked(true);
+      if (!timeout) return;
+      if (Date.now() - Math.max(lastActivityRef.current, activity?.lastActiveAt || 0) > timeout) lockApp();
+    };
+    const handleStorage = (event) => {
+      if (event.key === `${ACTIVITY_KEY_PREFIX}${userId}`) checkIdle();
+    };
+
+    markActive();
+    const events = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+    events.forEach(name => window.addEventListener(name, markActive, { passive: true }));
+    document.addEventListener('visibilitychange', checkIdle);
+    window.addEventListener('storage', handleStorage);
+    const timer = setInterval(checkIdle, LOCK_CHECK_INTERVAL);
+    return () => {
+      events.forEach(name => window.removeEventListener(name, markActive));
+      document.removeEventListener('visibilitychange', checkIdle);
+      window.removeEventListener('storage', handleStorage);
+      clearInterval(timer);
+    };
+  }, [currentUser?.id, currentUser?.security?.lockTimeout, locked]);
+
+  // Resolves to `{ unlocked, pinBlocked }`. Too many wrong PINs in a row
+  // switch the lock screen to the password until it is entered. The count is
+  // saved with the account rather than per device, so clearing site storage
+  // does not buy more guesses.
+  const unlockApp = async (secret, method) => {
+    const userId = currentUser.id;
+    const attempts = currentUser.security?.pinAttempts || 0;
+    if (method === 'pin') {
+      if (!currentUser.security?.pin || attempts >= MAX_PIN_ATTEMPTS) return { unlocked: false, pinBlocked: true };
+      if (!(await verifyPassword(secret, currentUser.security.pin))) {
+        updateSecurity({ pinAttempts: attempts + 1 });
+        return { unlocked: false, pinBlocked: attempts + 1 >= MAX_PIN_ATTEMPTS };
+      }
+    } else if (!(await verifyPassword(secret, currentUser.password))) {
+      return { unlocked: false, pinBlocked: false };
+    }
+    if (attempts > 0) updateSecurity({ pinAttempts: 0 });
+    markSignedIn(userId);
+    setLocked(false);
+    return { unlocked: true, pinBlocked: false };
+  };
+
+  useEffect(() => {
+    if (!currentUser) return setTimers({});
+    const userId = currentUser.id;
+    setTimers(loadTimers(userId));
+    const handleStorage = (event) => {
+      if (event.key === `${TIMER_KEY_PREFIX}${userId}`) setTimers(loadTimers(userId));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [currentUser?.id]);
+
+  // A `null` change removes that habit's timer.
+  const updateTimers = (changes) => {
+    const next = { ...loadTimers(currentUser.id), ...changes };
+    Object.keys(next).forEach(habitId => { if (!next[habitId]) delete next[habitId]; });
+    saveTimers(currentUser.id, next);
+    setTimers(next);
+  };
+
+  const startTimer = (habitId, date) => {
+    const timer = timers[habitId];
+    updateTimers({ [habitId]: { dateKey: timer?.dateKey || getDateKey(date), elapsed: timer?.elapsed || 0, startedAt: Date.now() } });
+  };
+
+  const pauseTimer = (habitId) => {
+    const timer = timers[habitId];
+    if (!timer?.startedAt) return;
+    updateTimers({ [habitId]: { ...timer, elapsed: getTimerElapsed(timer), startedAt: null } });
+  };
+
+  // The session counts toward the day the timer was started on. Partial
+  // minutes are kept, so short sessions still add up.
+  const stopTimer = (habitId) => {
+    const timer = timers[habitId];
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    if (!timer) return;
+    updateTimers({ [habitId]: null });
+    const minutes = Math.round(getTimerElapsed(timer) / 600) / 100;
+    if (!habit || minutes === 0) return;
+    setHabitAmount(habitId, parseDateKey(timer.dateKey), getLoggedAmount(habit, timer.dateKey) + minutes,
+      `Added ${formatDuration(minutes)} to "${habit.name}"`);
+  };
+
+  const updateSecurity = (changes) => {
+    updateCurrentUser({ ...currentUser, security: { ...currentUser.security, ...changes } });
+  };
+
+  const setPin = async (pin, password) => {
+    if (!PIN_PATTERN.test(pin)) throw new Error('The PIN must be 4 to 6 digits');
+    await verifyCurrentPassword(password);
+    updateSecurity({ pin: await hashPassword(pin), pinAttempts: 0 });
+  };
+
+  const removePin = () => {
+    updateSecurity({ pin: null, pinAttempts: 0 });
+  };
+
+  const updateLockTimeout = (minutes) => {
+    updateSecurity({ lockTimeout: minutes });
+  };
+
+  // Folds the synced copy into the latest local state rather than replacing
+  // it, so edits made while the request was in flight survive.
+  const applySyncedUser = (synced) => {
+    const data = appDataRef.current;
+    const local = data.users.find(u => u.id === synced.id);
+    if (!local || isSealed(local)) return;
+    const merged = mergeUser(local, synced);
+    if (stableStringify(merged) === stableStringify(local)) return;
+    setAppData({ ...data, users: data.users.map(u => u.id === merged.id ? merged : u) });
+    if (data.currentUser === merged.id) setCurrentUser(merged);
+  };
+
+  const runSync = async () => {
+    const data = appDataRef.current;
+    const userId = data?.currentUser;
+    const config = userId && loadSyncConfig(userId);
+    if (!config || syncingRef.current || !userVault.isUnlocked(userId)) return;
+
+    syncingRef.current = true;
+    setSyncStatus({ state: 'syncing' });
+    const startedAt = Date.now();
+    try {
+      const synced = await syncUser(new SyncClient(config), data.users.find(u => u.id === userId));
+      applySyncedUser(synced);
+      const updated = { ...config, lastSyncedAt: Math.max(startedAt, latestStamp(synced)) };
+      saveSyncConfig(userId, updated);
+      if (appDataRef.current.currentUser === userId) setSyncConfig(updated);
+      setSyncStatus({ state: 'synced', at: Date.now() });
+    } catch (error) {
+      console.warn('Sync failed:', error);
+      setSyncStatus(error.offline ? { state: 'offline' } : { state: 'error', message: error.message });
+    } finally {
+      syncingRef.current = false;
+    }
+  };
+
+  useEffect(() => {
+    if (!currentUser || !syncConfig) return;
+    runSync();
+    const timer = setInterval(runSync, SYNC_INTERVAL);
+    window.addEventListener('online', runSync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', runSync);
+    };
+  }, [currentUser?.id, syncConfig?.url, syncConfig?.key]);
+
+  useEffect(() => {
+    if (!currentUser || !syncConfig || countPendingChanges(currentUser, syncConfig.lastSyncedAt) === 0) return;
+    const timer = setTimeout(runSync, SYNC_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [currentUser, syncConfig]);
+
+  // An empty key starts a new sync space; another device's key joins it.
+  const connectSync = async (url, key) => {
+    const config = { url: url.trim(), key: key.trim() || generateSyncKey(), lastSyncedAt: 0 };
+    checkSyncOwner(await new SyncClient(config).pull(), currentUser.id);
+    saveSyncConfig(currentUser.id, config);
+    setSyncConfig(config);
+  };
+
+  const disconnectSync = async (deleteServerCopy) => {
+    if (deleteServerCopy) await new SyncClient(syncConfig).remove();
+    saveSyncConfig(currentUser.id, null);
+    setSyncConfig(null);
+    setSyncStatus({ state: 'idle' });
+  };
+
+  // Sets up a new device: the encrypted copy is added as a signed-out user,
+  // which the password then unlocks as usual. Returns the email to sign in with.
+  const restoreFromSync = async (url, key) => {
+    const config = { url: url.trim(), key: key.trim(), lastSyncedAt: 0 };
+    const remote = await new SyncClient(config).pull();
+    if (!remote) throw new Error('Nothing has been synced with this key yet');
+    const record = remote.document;
+    if (!record?.id || !record.email || !isSealed(record)) throw new Error('The sync server returned data this app cannot read');
+
+    if (!appData.users.some(u => u.id === record.id)) {
+      if (findUsersByEmail(appData.users, record.email).length > 0) throw new Error('Another account on this device already uses this email');
+      setAppData(stampAppField({ ...appData, users: [...appData.users, record] }, `user:${record.id}`));
+    }
+    saveSyncConfig(record.id, config);
+    return record.email;
+  };
+
+  const signUp = async (name, email, password) => {
+    if (findUsersByEmail(appData.users, email).length > 0) return false;
+
+    const hashedPassword = await hashPassword(password);
+    const unlocked = await userVault.unlockWithPassword({
+      id: generateId(),
+      name: name.trim(),
+      email: normalizeEmail(email),
+      password: hashedPassword,
+      createdAt: new Date().toISOString(),
+      habits: [],
+      moods: {},
+      reflections: {}
+    }, password);
+    const { codes, recovery } = await userVault.createRecoveryCodes(unlocked, password);
+    const newUser = { ...unlocked, recovery };
+    await storage.saveSessionKey(newUser.id, userVault.getKey(newUser.id));
+    markSignedIn(newUser.id);
+    
+    const updatedData = stampAppField(stampAppField({
+      ...appData,
+      users: [...appData.users, newUser],
+      currentUser: newUser.id
+    }, 'session'), `user:${newUser.id}`);
+    
+    setAppData(updatedData);
+    setCurrentUser(newUser);
+    setRecoveryCodes(codes);
+    return true;
+  };
+
+  const signIn = async (email, password) => {
+    let stored = null;
+    for (const candidate of findUsersByEmail(appData.users, email)) {
+      if (await verifyPassword(password, candidate.password)) {
+        stored = candidate;
+        break;
+      }
+    }
+    if (!stored) return false;
+
+    let user;
+    const issues = [];
+    try {
+      user = await userVault.unlockWithPassword(stored, password, issues);
+    } catch (error) {
+      console.error('Could not decrypt user data:', error);
+      return false;
+    }
+    await storage.quarantineSealedUsers([stored], issues);
+    if (passwordNeedsRehash(stored.password)) {
+      user = withChangeStamps(user, { ...user, password: await hashPassword(password) });
+    }
+    await storage.saveSessionKey(user.id, userVault.getKey(user.id));
+    markSignedIn(user.id);
+
+    setAppData(stampAppField({
+      ...appData,
+      users: appData.users.map(u => u.id === user.id ? user : u),
+      currentUser: user.id
+    }, 'session'));
+    setCurrentUser(user);
+    return true;
+  };
+
+  // Signs in with a recovery code in place of a forgotten password, which is
+  // replaced by `newPassword`. The code cannot be used again.
+  const recoverAccount = async (email, code, newPassword) => {
+    for (const candidate of findUsersByEmail(appData.users, email)) {
+      let recovered;
+      const issues = [];
+      try {
+        recovered = await userVault.unlockWithRecoveryCode(candidate, code, newPassword, issues);
+      } catch (error) {
+        console.error('Could not decrypt user data:', error);
+        recovered = null;
+      }
+      if (!recovered) continue;
+      await storage.quarantineSealedUsers([candidate], issues);
+
+      const user = withChangeStamps(recovered, { ...recovered, password: await hashPassword(newPassword) });
+      await storage.saveSessionKey(user.id, userVault.getKey(user.id));
+      markSignedIn(user.id);
+      setAppData(stampAppField({
+        ...appData,
+        users: appData.users.map(u => u.id === user.id ? user : u),
+        currentUser: user.id
+      }, 'session'));
+      setCurrentUser(user);
+      return true;
+    }
+    return false;
+  };
+
+  const signOut = async () => {
+    const userId = currentUser.id;
+    clearHistory();
+    setRecoveryCodes(null);
+    const sealed = await userVault.lock(appData, userId);
+    await storage.deleteSessionKey(userId);
+    saveActivity(userId, null);
+    saveTimers(userId, {});
+    setAppData(stampAppField({ ...sealed, currentUser: null }, 'session'));
+    setCurrentUser(null);
+    setCurrentView('dashboard');
+    setAuthTarget(null);
+  };
+
+  // A profile with a PIN stays remembered: unlike signing out, its session key
+  // stays so the PIN can open it again from the profile picker. Without a PIN
+  // the key is only kept while signed in, and the password is needed again.
+  const switchProfile = async () => {
+    const userId = currentUser.id;
+    clearHistory();
+    setRecoveryCodes(null);
+    const sealed = await userVault.lock(appData, userId);
+    if (!currentUser.security?.pin) await storage.deleteSessionKey(userId);
+    setAppData(stampAppField({ ...sealed, currentUser: null }, 'session'));
+    setCurrentUser(null);
+    setCurrentView('dashboard');
+    setAuthTarget(null);
+  };
+
+  useEffect(() => {
+    if (!appData || currentUser) return;
+    let cancelled = false;
+    Promise.all(appData.users.map(u => storage.loadSessionKey(u.id))).then(keys => {
+      if (!cancelled) setRememberedIds(appData.users.filter((u, i) => keys[i]).map(u => u.id));
+    });
+    return () => { cancelled = true; };
+  }, [appData?.users.length, currentUser?.id]);
+
+  // Remembered profiles always open on the lock screen, so having the key on
+  // this device is never enough to get in.
+  const openProfile = async (userId) => {
+    if (!(await unlockWithSessionKey(userId))) return false;
+    let opened;
+    try {
+      opened = await openStoredData(appData);
+    } catch (error) {
+      console.warn('Could not decrypt remembered profile:', error);
+      await forgetProfile(userId);
+      return false;
+    }
+    const user = opened.users.find(u => u.id === userId);
+    saveActivity(userId, { ...loadActivity(userId), lastActiveAt: Date.now(), locked: true });
+    setAppData(stampAppField({ ...opened, currentUser: userId }, 'session'));
+    setCurrentUser(user);
+    return true;
+  };
+
+  const forgetProfile = async (userId) => {
+    userVault.forget(userId);
+    await storage.deleteSessionKey(userId);
+    saveActivity(userId, null);
+    saveTimers(userId, {});
+    setRememberedIds(ids => ids.filter(id => id !== userId));
+  };
+
+  const verifyCurrentPassword = async (password) => {
+    if (!(await verifyPassword(password, currentUser.password))) throw new Error('Your current password is incorrect');
+  };
+
+  // Changing the email needs the password; changing only the name does not.
+  const updateAccount = async ({ name, email, currentPassword }) => {
+    const trimmedName = name.trim();
+    const normalizedEmail = normalizeEmail(email);
+    if (!trimmedName) throw new Error('Name cannot be empty');
+    if (normalizedEmail !== normalizeEmail(currentUser.email)) {
+      await verifyCurrentPassword(currentPassword);
+      if (findUsersByEmail(appData.users, normalizedEmail).some(u => u.id !== currentUser.id)) {
+        throw new Error('Another account already uses this email');
+      }
+    }
+    updateCurrentUser({ ...currentUser, name: trimmedName, email: normalizedEmail });
+  };
+
+  // The data key is re-wrapped for the new password; the data stays as it is.
+  const changePassword = async (currentPassword, newPassword) => {
+    await verifyCurrentPassword(currentPassword);
+    const rewrapped = await userVault.changePassword(currentUser, currentPassword, newPassword);
+    updateCurrentUser({ ...rewrapped, password: await hashPassword(newPassword) });
+  };
+
+  // Replaces every existing code with a new set, shown once.
+  const regenerateRecoveryCodes = async (password) => {
+    await verifyCurrentPassword(password);
+    const unlocked = currentUser.vault ? currentUser : await userVault.unlockWithPassword(currentUser, password);
+    const { codes, recovery } = await userVault.createRecoveryCodes(unlocked, password);
+    updateCurrentUser({ ...unlocked, recovery });
+    setRecoveryCodes(codes);
+  };
+
+  const deleteAccount = async (password, deleteServerCopy) => {
+    await verifyCurrentPassword(password);
+    const userId = currentUser.id;
+    if (deleteServerCopy && syncConfig) await new SyncClient(syncConfig).remove();
+
+    clearHistory();
+    userVault.forget(userId);
+    await storage.deleteSessionKey(userId);
+    saveSyncConfig(userId, null);
+    saveActivity(userId, null);
+    saveTimers(userId, {});
+    await storage.removeUserFromQuarantine(userId);
+    setAuthTarget(null);
+    setAppData(stampAppField(stampAppField({
+      ...appData,
+      users: appData.users.filter(u => u.id !== userId),
+      currentUser: null
+    }, 'session'), `user:${userId}`));
+    setCurrentUser(null);
+    setCurrentView('dashboard');
+  };
+
+  const toggleTheme = () => {
+    const newTheme = theme === 'dark' ? 'light' : 'dark';
+    setTheme(newTheme);
+    setAppData(stampAppField({ ...appData, theme: newTheme }, 'theme'));
+  };
+
+  const addHabit = (habitData) => {
+    const newHabit = {
+      id: generateId(),
+      ...habitData,
+      createdAt: new Date().toISOString(),
+      completions: {},
+      ...(isAvoidHabit(habitData) && { slips: {} }),
+      currentStreak: 0,
+      longestStreak: 0
+    };
+    
+    recordChange(`Added "${newHabit.name}"`, {
+      ...currentUser,
+      habits: [...currentUser.habits, newHabit]
+    });
+    setShowAddHabit(false);
+  };
+
+  const updateHabit = (habitId, updates, label) => {
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    recordChange(label || `Updated "${updates.name || habit?.name}"`, {
+      ...currentUser,
+      habits: currentUser.habits.map(h => h.id === habitId ? { ...h, ...updates } : h)
+    });
+    setEditingHabit(null);
+  };
+
+  // Unlike `updateHabit`, fields left out of `data` are removed, so a habit
+  // switched back to yes/no tracking drops its unit and target.
+  const editHabit = (habitId, data) => {
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    const { type, unit, target, ...fields } = { ...habit, ...data };
+    const edited = { ...fields, type };
+    if (isMeasuredHabit(data)) edited.target = target;
+    if (isQuantityHabit(data)) edited.unit = unit;
+    const completions = convertCompletions(habit, edited);
+    recordChange(`Updated "${edited.name}"`, {
+      ...currentUser,
+      habits: currentUser.habits.map(h => h.id === habitId
+        ? { ...edited, completions, ...calculateStreaks(edited, completions, new Date()) }
+        : h)
+    });
+    setEditingHabit(null);
+  };
+
+  const archiveHabit = (habitId) => {
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    recordChange(`Archived "${habit?.name}"`, {
+      ...currentUser,
+      habits: currentUser.habits.map(h => h.id === habitId ? { ...h, archivedAt: new Date().toISOString() } : h)
+    });
+  };
+
+  const restoreHabit = (habitId) => {
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    recordChange(`Restored "${habit?.name}"`, {
+      ...currentUser,
+      habits: currentUser.habits.map(h => {
+        if (h.id !== habitId) return h;
+        const { archivedAt, ...restored } = h;
+        return restored;
+      })
+    });
+  };
+
+  const deleteHabit = (habitId) => {
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    recordChange(`Deleted "${habit?.name}" permanently`, {
+      ...currentUser,
+      habits: currentUser.habits.filter(h => h.id !== habitId)
+    });
+    if (timers[habitId]) updateTimers({ [habitId]: null });
+  };
+
+  const toggleHabitCompletion = (habitId, date) => {
+    const dateKey = getDateKey(date);
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    
+    const completions = { ...habit.completions };
+    if (isCompletionDone(habit, completions[dateKey])) {
+      delete completions[dateKey];
+    } else {
+      completions[dateKey] = isMeasuredHabit(habit) ? habit.target : true;
+    }
+    
+    const { currentStreak, longestStreak } = calculateStreaks(habit, completions, date);
+    const label = completions[dateKey] ? `Checked off "${habit.name}"` : `Unchecked "${habit.name}"`;
+    updateHabit(habitId, { completions, currentStreak, longestStreak }, label);
+  };
+
+  const toggleSkip = (habitId, date) => {
+    const dateKey = getDateKey(date);
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    const completions = { ...habit.completions };
+    const skipping = completions[dateKey] !== SKIPPED;
+    if (skipping) {
+      completions[dateKey] = SKIPPED;
+    } else {
+      delete completions[dateKey];
+    }
+    const { currentStreak, longestStreak } = calculateStreaks(habit, completions, date);
+    updateHabit(habitId, { completions, currentStreak, longestStreak }, skipping ? `Skipped "${habit.name}"` : `Unskipped "${habit.name}"`);
+  };
+
+  // `change` is +1 to log a slip on `date` or -1 to take one back.
+  const logSlip = (habitId, date, change) => {
+    const dateKey = getDateKey(date);
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    const count = Math.max(0, (habit.slips?.[dateKey] || 0) + change);
+    const slips = { ...habit.slips };
+    if (count > 0) {
+      slips[dateKey] = count;
+    } else {
+      delete slips[dateKey];
+    }
+    const label = change > 0 ? `Logged a slip for "${habit.name}"` : `Removed a slip from "${habit.name}"`;
+    updateHabit(habitId, { slips, ...calculateCleanStreaks({ ...habit, slips }) }, label);
+  };
+
+  const withPauses = (habit, pauses) => {
+    const updated = { ...habit, pauses };
+    return { ...updated, ...calculateStreaks(updated, updated.completions || {}, new Date()) };
+  };
+
+  const pauseHabits = (habitIds, from, to) => {
+    const targets = currentUser.habits.filter(h => habitIds.includes(h.id));
+    if (targets.length === 0) return;
+    recordChange(targets.length === 1 ? `Paused "${targets[0].name}"` : `Paused ${targets.length} habits`, {
+      ...currentUser,
+      habits: currentUser.habits.map(h => habitIds.includes(h.id) ? withPauses(h, [...(h.pauses || []), { from, to }]) : h)
+    });
+  };
+
+  // An ongoing pause ends yesterday so today is due again; one that has not
+  // started yet is removed.
+  const endPause = (habitId, pause) => {
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    const today = getDateKey(new Date());
+    const ongoing = pause.from < today;
+    const pauses = (habit.pauses || []).flatMap(p => {
+      if (p.from !== pause.from || p.to !== pause.to) return [p];
+      return ongoing ? [{ from: p.from, to: addDaysToKey(today, -1) }] : [];
+    });
+    recordChange(ongoing ? `Resumed "${habit.name}"` : `Cancelled a pause for "${habit.name}"`, {
+      ...currentUser,
+      habits: currentUser.habits.map(h => h.id === habitId ? withPauses(h, pauses) : h)
+    });
+  };
+
+  const setHabitAmount = (habitId, date, amount, label) => {
+    const dateKey = getDateKey(date);
+    const habit = currentUser.habits.find(h => h.id === habitId);
+    const value = Math.max(0, Math.round(amount * 100) / 100);
+    if (!habit || !Number.isFinite(value) || value === getLoggedAmount(habit, dateKey)) return;
+
+    const completions = { ...habit.completions };
+    if (value > 0) {
+      completions[dateKey] = value;
+    } else {
+      delete completions[dateKey];
+    }
+
+    const { currentStreak, longestStreak } = calculateStreaks(habit, completions, date);
+    updateHabit(habitId, { completions, currentStreak, longestStreak }, label || `Logged ${formatAmount(habit, value)} for "${habit.name}"`);
+  };
+
+  const setMood = (date, mood) => {
+    const dateKey = getDateKey(date);
+    if (currentUser.moods?.[dateKey] === mood) return;
+    recordChange(`Mood set to ${moodOptions.find(m => m.value === mood)?.label}`, {
+      ...currentUser,
+      moods: { ...currentUser.moods, [dateKey]: mood }
+    });
+  };
+
+  const setReflection = (date, text) => {
+    const dateKey = getDateKey(date);
+    if ((currentUser.reflections?.[dateKey] || '') === text) return;
+    recordChange('Reflection saved', {
+      ...currentUser,
+      reflections: { ...currentUser.reflections, [dateKey]: text }
+    });
+  };
+
+  // Entries hold the user before and after a change. Undo and redo replay only
+  // what that entry touched onto the current user, so edits made since (or in
+  // another tab) are left alone.
+  const recordChange = (label, changes) => {
+    const before = currentUser;
+    const after = updateCurrentUser(changes);
+    const { undo } = historyRef.current;
+    historyRef.current = { undo: [...undo.slice(-(MAX_UNDO_HISTORY - 1)), { label, before, after }], redo: [] };
+    setToast({ message: label, action: 'undo' });
+  };
+
+  const undo = () => {
+    const { undo: undoStack, redo: redoStack } = historyRef.current;
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+    updateCurrentUser(applyUserChanges(currentUser, entry.after, entry.before));
+    historyRef.current = { undo: undoStack.slice(0, -1), redo: [...redoStack, entry] };
+    setToast({ message: `Undid: ${entry.label}`, action: 'redo' });
+  };
+
+  const redo = () => {
+    const { undo: undoStack, redo: redoStack } = historyRef.current;
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return;
+    updateCurrentUser(applyUserChanges(currentUser, entry.before, entry.after));
+    historyRef.current = { undo: [...undoStack, entry], redo: redoStack.slice(0, -1) };
+    setToast({ message: `Redid: ${entry.label}`, action: 'undo' });
+  };
+
+  const clearHistory = () => {
+    historyRef.current = { undo: [], redo: [] };
+    setToast(null);
+  };
+
+  shortcutsRef.current = locked ? null : { undo, redo };
+
+  const importBackup = (incomingUser, mode) => {
+    const merge = mode === 'replace' ? replaceUserData : mergeUserData;
+    updateCurrentUser(withoutPruneMarkers(merge(currentUser, incomingUser)));
+  };
+
+  const importHabitHistory = (imported) => {
+    updateCurrentUser(withoutPruneMarkers(mergeImportedHabits(currentUser, imported)));
+  };
+
+  const pruneOldReflections = (cutoff) => {
+    updateCurrentUser(pruneReflections(currentUser, cutoff));
+  };
+
+  const compactCompletionHistory = (cutoff) => {
+    updateCurrentUser(pruneCompletions(currentUser, cutoff));
+  };
+
+  const updateCurrentUser = (changes) => {
+    const updatedUser = withChangeStamps(currentUser, changes);
+    setAppData({
+      ...appData,
+      users: appData.users.map(u => u.id === updatedUser.id ? updatedUser : u)
+    });
+    setCurrentUser(updatedUser);
+    return updatedUser;
+  };
+
+  const getHabitStats = (habit) => {
+    const { currentStreak, longestStreak } = getLiveStreaks(habit);
+    if (isAvoidHabit(habit)) {
+      const trackedDays = eachDateKey(getCleanStart(habit), getDateKey(new Date()));
+      const cleanDays = trackedDays.filter(dateKey => isCleanDay(habit, dateKey)).length;
+      return {
+        totalCompletions: cleanDays,
+        totalSlips: countSlips(habit),
+        completionRate: (trackedDays.length > 0 ? (cleanDays / trackedDays.length) * 100 : 0).toFixed(1),
+        currentStreak,
+        longestStreak
+      };
+    }
+
+    const loggedDays = Object.keys(habit.completions || {});
+    const completions = loggedDays.filter(dateKey => isHabitDoneOn(habit, dateKey));
+    const yesterday = addDaysToKey(getDateKey(new Date()), -1);
+    const skippedDays = loggedDays.filter(dateKey => isSkipped(habit, dateKey) && dateKey <= yesterday && !isPausedOn(habit, dateKey)).length;
+    const totalDays = getDaysDifference(new Date(), new Date(habit.createdAt))
+      - countPausedDays(habit, getDateKey(habit.createdAt), yesterday) - skippedDays;
+    const completionRate = isQuotaHabit(habit)
+      ? getQuotaCompletionRate(habit)
+      : isIntervalHabit(habit) ? getIntervalCompletionRate(habit)
+      : totalDays > 0 ? (completions.length / totalDays) * 100 : 0;
+    
+    return {
+      totalCompletions: completions.length,
+      totalAmount: isMeasuredHabit(habit) ? loggedDays.reduce((sum, dateKey) => sum + getLoggedAmount(habit, dateKey), 0) : null,
+      completionRate: completionRate.toFixed(1),
+      currentStreak,
+      longestStreak
+    };
+  };
+
+  const getMonthlyData = (habit, month, year) => {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const data = [];
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = new Date(year, month, day);
+      const dateKey = getDateKey(date);
+      data.push({
+        day,
+        completed: isHabitDoneOn(habit, dateKey) ? 1 : 0,
+        value: isAvoidHabit(habit) ? habit.slips?.[dateKey] || 0 : isMeasuredHabit(habit) ? getLoggedAmount(habit, dateKey) : undefined,
+        date: dateKey
+      });
+    }
+    return data;
+  };
+
+  const getYearlyData = (habit, year) => {
+    const data = [];
+    for (let month = 0; month < 12; month++) {
+      const monthData = getMonthlyData(habit, month, year);
+      const completions = monthData.filter(d => d.completed).length;
+      const total = monthData.length;
+      
+      data.push({
+        month: new Date(year, month).toLocaleDateString('en-US', { month: 'short' }),
+        completionRate: total > 0 ? (completions / total) * 100 : 0,
+        completions,
+        total: isMeasuredHabit(habit) || isAvoidHabit(habit) ? monthData.reduce((sum, d) => sum + d.value, 0) : undefined
+      });
+    }
+    return data;
+  };
+
+  const getDailyQuote = () => {
+    const dayOfYear = Math.floor((new Date() - new Date(new Date().getFullYear(), 0, 0)) / 86400000);
+    const quote = motivationalQuotes[dayOfYear % motivationalQuotes.length];
+    return quote.replace('{name}', currentUser?.name || 'there');
+  };
+
+  const getBestHabit = () => {
+    if (!currentUser) return null;
+    return getActiveHabits(currentUser).reduce((best, habit) => {
+      const stats = getHabitStats(habit);
+      const bestStats = best ? getHabitStats(best) : { currentStreak: 0 };
+      return stats.currentStreak > bestStats.currentStreak ? habit : best;
+    }, null);
+  };
+
+  if (loading) {
+    return <LoadingScreen theme={theme} />;
+  }
+
+  if (recovery) {
+    return <RecoveryScreen report={recovery.report} data={recovery.data} theme={theme} onContinue={continueAfterRecovery} />;
+  }
+
+  if (!currentUser && appData.users.length > 0 && !authTarget) {
+    return (
+      <ProfilePicker
+        users={appData.users}
+        rememberedIds={rememberedIds}
+        theme={theme}
+        toggleTheme={toggleTheme}
+        onOpen={async (user) => (await openProfile(user.id)) || setAuthTarget({ email: user.email })}
+        onForget={forgetProfile}
+        onAddAccount={() => setAuthTarget({ email: '' })}
+      />
+    );
+  }
+
+  if (!currentUser) {
+    return (
+      <AuthScreen
+        key={authTarget?.email}
+        initialEmail={authTarget?.email}
+        onShowProfiles={appData.users.length > 0 ? () => setAuthTarget(null) : null}
+        onSignIn={signIn}
+        onSignUp={signUp}
+        onRecover={recoverAccount}
+        onRestoreFromSync={restoreFromSync}
+        theme={theme}
+        toggleTheme={toggleTheme}
+      />
+    );
+  }
+
+  if (locked) {
+    return <LockScreen user={currentUser} theme={theme} onUnlock={unlockApp} onSwitchProfile={switchProfile} onSignOut={signOut} />;
+  }
+
+  return (
+    <div className={`app ${theme}`}>
+      <Header 
+        user={currentUser} 
+        onSignOut={signOut} 
+        onSwitchProfile={switchProfile}
+        onLock={lockApp}
+        theme={theme}
+        toggleTheme={toggleTheme}
+        currentView={currentView}
+        setCurrentView={setCurrentView}
+      />
+      
+      {saveError && (
+        <SaveErrorBanner
+          reason={saveError}
+          onRetry={retrySave}
+          onFreeSpace={() => setCurrentView('settings')}
+        />
+      )}
+      
+      <main className="main-content">
+        {currentView === 'dashboard' && (
+          <Dashboard
+            user={currentUser}
+            selectedDate={selectedDate}
+            setSelectedDate={setSelectedDate}
+            toggleHabitCompletion={toggleHabitCompletion}
+            toggleSkip={toggleSkip}
+            setHabitAmount={setHabitAmount}
+            logSlip={logSlip}
+            timers={timers}
+            onStartTimer={startTimer}
+            onPauseTimer={pauseTimer}
+            onStopTimer={stopTimer}
+            setMood={setMood}
+            setReflection={setReflection}
+            getDailyQuote={getDailyQuote}
+            getBestHabit={getBestHabit}
+            onAddHabit={() => setShowAddHabit(true)}
+            onEditHabit={setEditingHabit}
+            onArchiveHabit={archiveHabit}
+          />
+        )}
+        
+        {currentView === 'calendar' && (
+          <CalendarView
+            user={currentUser}
+            selectedMonth={selectedMonth}
+            setSelectedMonth={setSelectedMonth}
+            selectedDate={selectedDate}
+            setSelectedDate={setSelectedDate}
+          />
+        )}
+        
+        {currentView === 'analytics' && (
+          <AnalyticsView
+            user={currentUser}
+            getHabitStats={getHabitStats}
+            getMonthlyData={getMonthlyData}
+            getYearlyData={getYearlyData}
+            selectedHabit={selectedHabitForAnalytics}
+            setSelectedHabit={setSelectedHabitForAnalytics}
+          />
+        )}
+        
+        {currentView === 'habits' && (
+          <HabitsManager
+            user={currentUser}
+            onAddHabit={() => setShowAddHabit(true)}
+            onEditHabit={setEditingHabit}
+            onArchiveHabit={archiveHabit}
+            onRestoreHabit={restoreHabit}
+            onDeleteHabit={deleteHabit}
+            onPauseHabits={pauseHabits}
+            onEndPause={endPause}
+            getHabitStats={getHabitStats}
+          />
+        )}
+        
+        {currentView === 'settings' && (
+          <SettingsView
+            user={currentUser}
+            onImportBackup={importBackup}
+            onImportHistory={importHabitHistory}
+            saveError={saveError}
+            onPruneReflections={pruneOldReflections}
+            onCompactCompletions={compactCompletionHistory}
+            syncConfig={syncConfig}
+            syncStatus={syncStatus}
+            onConnectSync={connectSync}
+            onDisconnectSync={disconnectSync}
+            onSyncNow={runSync}
+            onUpdateAccount={updateAccount}
+            onChangePassword={changePassword}
+            onRegenerateRecoveryCodes={regenerateRecoveryCodes}
+            onDeleteAccount={deleteAccount}
+            onSetPin={setPin}
+            onRemovePin={removePin}
+            onUpdateLockTimeout={updateLockTimeout}
+            onLock={lockApp}
+          />
+        )}
+      </main>
+      
+      {showAddHabit && (
+        <HabitModal onClose={() => setShowAddHabit(false)} onSave={addHabit} theme={theme} />
+      )}
+      
+      {editingHabit && (
+        <HabitModal habit={editingHabit} onClose={() => setEditingHabit(null)} onSave={(data) => editHabit(editingHabit.id, data)} theme={theme} />
+      )}
+      
+      {recoveryCodes && (
+        <RecoveryCodesModal codes={recoveryCodes} email={currentUser.email} onClose={() => setRecoveryCodes(null)} />
+      )}
+      
+      {toast && (
+        <UndoToast
+          toast={toast}
+          onUndo={undo}
+          onRedo={redo}
+          onDismiss={() => setToast(null)}
+        />
+      )}
+      
+      <GlobalStyles theme={theme} />
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════
+// IMMERSIVE AUTH SCREEN — Bioluminescent Deep Ocean
+// ═══════════════════════════════════════════════════
+
+function FloatingOrb({ x, y, size, duration, delay, color }) {
+  return (
+    <div
+      className="floating-orb"
+      style={{
+        left: `${x}%`,
+        top: `${y}%`,
+        width: `${size}px`,
+        height: `${size}px`,
+        background: color,
+        animationDuration: `${duration}s`,
+        animationDelay: `${delay}s`,
+      }}
+    />
+  );
+}
+
+function ParticleField() {
+  const particles = Array.from({ length: 28 }, (_, i) => ({
+    id: i,
+    x: Math.random() * 100,
+    y: Math.random() * 100,
+    size: Math.random() * 4 + 1,
+    duration: Math.random() * 12 + 8,
+    delay: Math.random() * -15,
+    opacity: Math.random() * 0.5 + 0.2,
+  }));
+
+  return (
+    <div className="particle-field">
+      {particles.map(p => (
+        <div
+          key={p.id}
+          className="particle"
+          style={{
+            left: `${p.x}%`,
+            top: `${p.y}%`,
+            width: `${p.size}px`,
+            height: `${p.size}px`,
+            opacity: p.opacity,
+            animationDuration: `${p.duration}s`,
+            animationDelay: `${p.delay}s`,
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+function RippleEffect({ mousePos }) {
+  return (
+    <div
+      className="ripple-glow"
+      style={{
+        left: `${mousePos.x}px`,
+        top: `${mousePos.y}px`,
+      }}
+    />
+  );
+}
+
+function AuthScreen({ initialEmail = '', onShowProfiles, onSignIn, onSignUp, onRecover, onRestoreFromSync, theme, toggleTheme }) {
+  const [isSignUp, setIsSignUp] = useState(false);
+  const [showRestore, setShowRestore] = useState(false);
+  const [showRecovery, setShowRecovery] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [formData, setFormData] = useState({ name: '', email: initialEmail, password: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [focusedField, setFocusedField] = useState(null);
+  const [mousePos, setMousePos] = useState({ x: -999, y: -999 });
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitSuccess, setSubmitSuccess] = useState(false);
+  const containerRef = useRef(null);
+
+  const orbs = [
+    { x: 10, y: 20, size: 300, duration: 18, delay: 0,   color: 'radial-gradient(circle, rgba(99,102,241,0.18) 0%, transparent 70%)' },
+    { x: 75, y: 10, size: 250, duration: 22, delay: -5,  color: 'radial-gradient(circle, rgba(139,92,246,0.15) 0%, transparent 70%)' },
+    { x: 85, y: 65, size: 350, duration: 26, delay: -9,  color: 'radial-gradient(circle, rgba(56,189,248,0.12) 0%, transparent 70%)' },
+    { x: 5,  y: 75, size: 280, duration: 20, delay: -13, color: 'radial-gradient(circle, rgba(99,102,241,0.14) 0%, transparent 70%)' },
+    { x: 45, y: 85, size: 200, duration: 16, delay: -7,  color: 'radial-gradient(circle, rgba(167,139,250,0.1) 0%, transparent 70%)' },
+  ];
+
+  const handleMouseMove = (e) => {
+    if (containerRef.current) {
+      const rect = containerRef.current.getBoundingClientRect();
+      setMousePos({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    
+    try {
+      if (isSignUp) {
+        if (!formData.name || !formData.email || !formData.password) {
+          setError('All fields are required');
+          return;
+        }
+        const created = await onSignUp(formData.name, formData.email, formData.password);
+        if (!created) {
+          setError('An account with this email already exists');
+        } else {
+          setSubmitSuccess(true);
+        }
+      } else {
+        const success = await onSignIn(formData.email, formData.password);
+        if (!success) {
+          setError('Invalid email or password');
+        } else {
+          setSubmitSuccess(true);
+        }
+      }
+    } catch (err) {
+      setError('An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const switchMode = () => {
+    setIsSignUp(!isSignUp);
+    setError('');
+    setNotice('');
+    setFormData({ name: '', email: '', password: '' });
+  };
+
+  const handleRestored = (email) => {
+    setShowRestore(false);
+    setIsSignUp(false);
+    setError('');
+    setFormData({ name: '', email, password: '' });
+    setNotice('Your account was found. Sign in with your password to finish setting up this device.');
+  };
+
+  return (
+    <div
+      className={`auth-immersive auth-immersive--${theme} ${submitSuccess ? 'success-state' : ''}`}
+      ref={containerRef}
+      onMouseMove={handleMouseMove}
+    >
+      {/* Deep background layers */}
+      <div className="auth-bg-layer auth-bg-base" />
+      <div className="auth-bg-layer auth-bg-nebula" />
+      <div className="auth-bg-layer auth-bg-vignette" />
+
+      {/* Floating orbs */}
+      {orbs.map((orb, i) => <FloatingOrb key={i} {...orb} />)}
+
+      {/* Particle field */}
+      <ParticleField />
+
+      {/* Mouse ripple */}
+      <RippleEffect mousePos={mousePos} />
+
+      {/* Horizontal drift lines */}
+      <div className="drift-lines">
+        {[...Array(5)].map((_, i) => (
+          <div key={i} className="drift-line" style={{ top: `${15 + i * 18}%`, animationDelay: `${i * 1.8}s` }} />
+        ))}
+      </div>
+
+      {/* Theme toggle */}
+      <button className="auth-theme-btn" onClick={toggleTheme} title="Toggle theme">
+        <span>{theme === 'dark' ? '☀' : '☾'}</span>
+      </button>
+
+      {/* Central card */}
+      <div className={`auth-card ${isSignUp ? 'auth-card--signup' : ''}`}>
+        {/* Card glow ring */}
+        <div className="card-glow-ring" />
+
+        {/* Logo area */}
+        <div className="auth-brand">
+          <div className="brand-icon">
+            <div className="brand-icon-inner">
+              <svg width="32" height="32" viewBox="0 0 32 32" fill="none">
+                <circle cx="16" cy="16" r="14" stroke="url(#brandGrad)" strokeWidth="2" />
+                <path d="M8 20 L12 14 L16 18 L20 10 L24 16" stroke="url(#brandGrad)" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" />
+                <defs>
+                  <linearGradient id="brandGrad" x1="0" y1="0" x2="32" y2="32" gradientUnits="userSpaceOnUse">
+                    <stop stopColor="#a78bfa" />
+                    <stop offset="1" stopColor="#38bdf8" />
+                  </linearGradient>
+                </defs>
+              </svg>
+            </div>
+          </div>
+          <div className="brand-text">
+            <h1 className="auth-logo">Momentum</h1>
+            <p className="auth-tagline">
+              {isSignUp ? 'Begin your journey today.' : 'Welcome back, keep going.'}
+            </p>
+          </div>
+        </div>
+
+        {/* Tab switcher */}
+        <div className="auth-tabs">
+          <button
+            className={`auth-tab ${!isSignUp ? 'auth-tab--active' : ''}`}
+            onClick={() => !isSignUp ? null : switchMode()}
+          >
+            Sign In
+          </button>
+          <button
+            className={`auth-tab ${isSignUp ? 'auth-tab--active' : ''}`}
+            onClick={() => isSignUp ? null : switchMode()}
+          >
+            Create Account
+          </button>
+          <div className={`auth-tab-indicator ${isSignUp ? 'auth-tab-indicator--right' : ''}`} />
+        </div>
+
+        {showRecovery && <RecoveryCodeForm initialEmail={formData.email} onRecover={onRecover} onCancel={() => setShowRecovery(false)} />}
+        {showRestore && <SyncRestoreForm onRestore={onRestoreFromSync} onRestored={handleRestored} onCancel={() => setShowRestore(false)} />}
+
+        {/* Form */}
+        <form className="auth-form-new" onSubmit={handleSubmit} hidden={showRecovery || showRestore}>
+          <div className={`form-fields ${isSignUp ? 'form-fields--three' : 'form-fields--two'}`}>
+
+            {isSignUp && (
+              <div className={`auth-field ${focusedField === 'name' ? 'auth-field--focused' : ''} ${formData.name ? 'auth-field--filled' : ''}`}>
+                <div className="field-icon">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <circle cx="8" cy="6" r="3" stroke="currentColor" strokeWidth="1.5" />
+                    <path d="M2 14c0-3.314 2.686-5 6-5s6 1.686 6 5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
+                  </svg>
+                </div>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  onFocus={() => setFocusedField('name')}
+                  onBlur={() => setFocusedField(null)}
+                  placeholder="Your name"
+                  required={isSignUp}
+                  autoComplete="name"
+                />
+                <label>Your Name</label>
+                <div className="field-underline" />
+              </div>
+            )}
+
+            <div className={`auth-field ${focusedField === 'email' ? 'auth-field--focused' : ''} ${formData.email ? 'auth-field--filled' : ''}`}>
+              <div className="field-icon">
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                  <rect x="2" y="4" width="12" height="9" rx="1.5" stroke="currentColor" strokeWidth="1.5" />
+                  <path d="M2 5.5l6 4 6-4" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
+                </svg>
+              </div>
+              <input
+                type="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                onFocus={() => setFocusedField('email')}
+                onBlur={() => setFocusedField(null)}
+                placeholder="your@email.com"
+                required
+                autoComplete="email"
+              />
+              <label>Email Address</label>
+              <div className="field-underline" />
+            </div>
+
+            <div className={`auth-field ${focusedField === 'password' ? 'auth-field--focused' : ''} ${formData.password ? 'auth-field--filled' : ''}`}>
+              <div className="field-icon">
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                  <rect x="4" y="7" width="8" height="7" rx="1" stroke="currentColor" strokeWidth="1.5" />
+                  <path d="M5.5 7V5a2.5 2.5 0 015 0v2" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
+                </svg>
+              </div>
+              <input
+                type={showPassword ? 'text' : 'password'}
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                onFocus={() => setFocusedField('password')}
+                onBlur={() => setFocusedField(null)}
+                placeholder="••••••••"
+                required
+                autoComplete={isSignUp ? 'new-password' : 'current-password'}
+              />
+              <label>Password</label>
+              <button
+                type="button"
+                className="field-eye-btn"
+                onClick={() => setShowPassword(!showPassword)}
+                tabIndex={-1}
+              >
+                {showPassword ? (
+                  <svg width="15" height="15" viewBox="0 0 15 15" fill="none">
+                    <path d="M1 7.5s2.5-5 6.5-5 6.5 5 6.5 5-2.5 5-6.5 5-6.5-5-6.5-5z" stroke="currentColor" strokeWidth="1.4"/>
+                    <circle cx="7.5" cy="7.5" r="2" stroke="currentColor" strokeWidth="1.4"/>
+                    <line x1="2" y1="13" x2="13" y2="2" stroke="currentColor" strokeWidth="1.4" strokeLinecap="round"/>
+                  </svg>
+                ) : (
+                  <svg width="15" height="15" viewBox="0 0 15 15" fill="none">
+                    <path d="M1 7.5s2.5-5 6.5-5 6.5 5 6.5 5-2.5 5-6.5 5-6.5-5-6.5-5z" stroke="currentColor" strokeWidth="1.4"/>
+                    <circle cx="7.5" cy="7.5" r="2" stroke="currentColor" strokeWidth="1.4"/>
+                  </svg>
+                )}
+              </button>
+              <div className="field-underline" />
+            </div>
+          </div>
+
+          {notice && <div className="auth-notice">{notice}</div>}
+
+          {/* Error */}
+          {error && (
+            <div className="auth-error">
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+                <circle cx="7" cy="7" r="6" stroke="#f87171" strokeWidth="1.5"/>
+                <path d="M7 4v3.5" stroke="#f87171" strokeWidth="1.5" strokeLinecap="round"/>
+                <circle cx="7" cy="10" r="0.75" fill="#f87171"/>
+              </svg>
+              {error}
+            </div>
+          )}
+
+          {/* Submit button */}
+          <button
+            type="submit"
+            className={`auth-submit ${loading ? 'auth-submit--loading' : ''} ${submitSuccess ? 'auth-submit--success' : ''}`}
+            disabled={loading || submitSuccess}
+          >
+            <span className="submit-text">
+              {submitSuccess ? (
+                <>
+                  <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
+                    <path d="M3 9l4 4 8-8" stroke="white" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                  &nbsp;Welcome!
+                </>
+              ) : loading ? (
+                <span className="submit-spinner" />
+              ) : isSignUp ? (
+                'Create Account'
+              ) : (
+                'Sign In'
+              )}
+            </span>
+            <div className="submit-shine" />
+          </button>
+
+          {/* Switch mode */}
+          <button type="button" className="auth-switch" onClick={switchMode}>
+            {isSignUp ? (
+              <>Already have an account? <span>Sign in →</span></>
+            ) : (
+              <>New here? <span>Create a free account →</span></>
+            )}
+          </button>
+
+          {!isSignUp && (
+            <>
+              <button type="button" className="auth-switch" onClick={() => { setShowRecovery(true); setNotice(''); }}>
+                Forgot your password? <span>Use a recovery code →</span>
+              </button>
+              <button type="button" className="auth-switch" onClick={() => { setShowRestore(true); setNotice(''); }}>
+                Already syncing on another device? <span>Set up this one →</span>
+              </button>
+            </>
+          )}
+
+          {onShowProfiles && (
+            <button type="button" className="auth-switch" onClick={onShowProfiles}>
+              <span>← Back to profiles</span>
+            </button>
+          )}
+        </form>
+
+        {/* Bottom ambient line */}
+        <div className="card-bottom-glow" />
+      </div>
+
+      {/* Decorative bottom text */}
+      <div className="auth-footer">
+        Build habits that last · Track progress that matters
+      </div>
+
+      <AuthStyles />
+    </div>
+  );
+}
+
+function RecoveryCodeForm({ initialEmail, onRecover, onCancel }) {
+  const [form, setForm] = useState({ email: initialEmail || '', code: '', password: '', confirm: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [focusedField, setFocusedField] = useState(null);
+
+  const fields = [
+    { name: 'email', label: 'Email Address', type: 'email', autoComplete: 'email' },
+    { name: 'code', label: 'Recovery Code', type: 'text', autoComplete: 'off' },
+    { name: 'password', label: 'New Password', type: 'password', autoComplete: 'new-password' },
+    { name: 'confirm', label: 'Confirm New Password', type: 'password', autoComplete: 'new-password' }
+  ];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (form.password !== form.confirm) {
+      setError('The new passwords do not match');
+      return;
+    }
+    setLoading(true);
+    try {
+      if (!(await onRecover(form.email, form.code, form.password))) setError('That recovery code does not match this email');
+    } catch (err) {
+      setError('An error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="auth-form-new" onSubmit={handleSubmit}>
+      <p className="auth-restore-hint">Enter one of the recovery codes you saved when you created your account, and choose a new password.</p>
+      <div className="form-fields">
+        {fields.map(field => (
+          <div key={field.name} className={`auth-field auth-field--plain ${focusedField === field.name ? 'auth-field--focused' : ''} ${form[field.name] ? 'auth-field--filled' : ''}`}>
+            <input
+              type={field.type}
+              value={form[field.name]}
+              onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+              onFocus={() => setFocusedField(field.name)}
+              onBlur={() => setFocusedField(null)}
+              placeholder={field.label}
+              required
+              autoComplete={field.autoComplete}
+            />
+            <label>{field.label}</label>
+            <div className="field-underline" />
+          </div>
+        ))}
+      </div>
+
+      {error && <div className="auth-error">{error}</div>}
+
+      <button type="submit" className={`auth-submit ${loading ? 'auth-submit--loading' : ''}`} disabled={loading}>
+        <span className="submit-text">{loading ? <span className="submit-spinner" /> : 'Reset Password'}</span>
+        <div className="submit-shine" />
+      </button>
+
+      <button type="button" className="auth-switch" onClick={onCancel}>
+        <span>← Back to sign in</span>
+      </button>
+    </form>
+  );
+}
+
+function SyncRestoreForm({ onRestore, onRestored, onCancel }) {
+  const [form, setForm] = useState({ url: '', key: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [focusedField, setFocusedField] = useState(null);
+
+  const fieldClass = (name) => `auth-field ${focusedField === name ? 'auth-field--focused' : ''} ${form[name] ? 'auth-field--filled' : ''}`;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      onRestored(await onRestore(form.url, form.key));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="auth-form-new" onSubmit={handleSubmit}>
+      <p className="auth-restore-hint">Enter the server URL and sync key shown under Settings → Sync on your other device.</p>
+      <div className="form-fields form-fields--two">
+        <div className={fieldClass('url')}>
+          <div className="field-icon">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <circle cx="8" cy="8" r="6" stroke="currentColor" strokeWidth="1.5" />
+              <path d="M2 8h12M8 2c1.8 1.8 1.8 10.2 0 12M8 2c-1.8 1.8-1.8 10.2 0 12" stroke="currentColor" strokeWidth="1.5" />
+            </svg>
+          </div>
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            onFocus={() => setFocusedField('url')}
+            onBlur={() => setFocusedField(null)}
+            placeholder="http://localhost:8787"
+            required
+          />
+          <label>Server URL</label>
+          <div className="field-underline" />
+        </div>
+        <div className={fieldClass('key')}>
+          <div className="field-icon">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <circle cx="5" cy="8" r="3" stroke="currentColor" strokeWidth="1.5" />
+              <path d="M8 8h6M12 8v2.5M14 8v2" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
+            </svg>
+          </div>
+          <input
+            type="text"
+            value={form.key}
+            onChange={(e) => setForm({ ...form, key: e.target.value })}
+            onFocus={() => setFocusedField('key')}
+            onBlur={() => setFocusedField(null)}
+            placeholder="Sync key"
+            required
+            autoComplete="off"
+          />
+          <label>Sync Key</label>
+          <div className="field-underline" />
+        </div>
+      </div>
+
+      {error && <div className="auth-error">{error}</div>}
+
+      <button type="submit" className={`auth-submit ${loading ? 'auth-submit--loading' : ''}`} disabled={loading}>
+        <span className="submit-text">{loading ? <span className="submit-spinner" /> : 'Find My Account'}</span>
+        <div className="submit-shine" />
+      </button>
+
+      <button type="button" className="auth-switch" onClick={onCancel}>
+        <span>← Back to sign in</span>
+      </button>
+    </form>
+  );
+}
+
+// ═══════════════════════════════════════════════
+// AUTH PAGE STYLES (scoped)
+// ═══════════════════════════════════════════════
+function AuthStyles() {
+  return (
+    <style>{`
+      @import url('https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,400;0,500;0,600;1,400&family=DM+Sans:wght@300;400;500;600&display=swap');
+
+      .auth-immersive {
+        min-height: 100vh;
+        width: 100%;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        position: relative;
+        overflow: hidden;
+        font-family: 'DM Sans', sans-serif;
+        padding: 2rem 1rem 4rem;
+        cursor: default;
+      }
+
+      /* ── BACKGROUNDS ── */
+      .auth-bg-layer { position: absolute; inset: 0; pointer-events: none; }
+
+      /* DARK theme base */
+      .auth-immersive--dark .auth-bg-base {
+        background: radial-gradient(ellipse 120% 100% at 50% 0%,
+          #0d0a1e 0%,
+          #080614 35%,
+          #060410 60%,
+          #040210 100%
+        );
+        z-index: 0;
+      }
+
+      /* LIGHT theme base */
+      .auth-immersive--light .auth-bg-base {
+        background: radial-gradient(ellipse 120% 100% at 50% 0%,
+          #f0eeff 0%,
+          #e8e4ff 30%,
+          #eef4ff 65%,
+          #f5f0ff 100%
+        );
+        z-index: 0;
+      }
+
+      .auth-bg-base {
+        background: radial-gradient(ellipse 120% 100% at 50% 0%,
+          #0d0a1e 0%, #080614 35%, #060410 60%, #040210 100%
+        );
+        z-index: 0;
+      }
+
+      .auth-bg-nebula {
+        background:
+          radial-gradient(ellipse 80% 60% at 20% 30%, rgba(99,102,241,0.08) 0%, transparent 60%),
+          radial-gradient(ellipse 60% 50% at 80% 70%, rgba(56,189,248,0.07) 0%, transparent 60%),
+          radial-gradient(ellipse 40% 40% at 50% 90%, rgba(139,92,246,0.06) 0%, transparent 60%);
+        z-index: 1;
+        animation: nebulaPulse 12s ease-in-out infinite;
+      }
+
+      /* Light mode nebula — softer, pastel tones */
+      .auth-immersive--light .auth-bg-nebula {
+        background:
+          radial-gradient(ellipse 80% 60% at 20% 30%, rgba(99,102,241,0.12) 0%, transparent 60%),
+          radial-gradient(ellipse 60% 50% at 80% 70%, rgba(56,189,248,0.10) 0%, transparent 60%),
+          radial-gradient(ellipse 40% 40% at 50% 90%, rgba(139,92,246,0.09) 0%, transparent 60%);
+      }
+
+      .auth-immersive--light .auth-bg-vignette {
+        background: radial-gradient(ellipse 70% 70% at 50% 50%, transparent 40%, rgba(220,215,255,0.5) 100%);
+      }
+
+      @keyframes nebulaPulse {
+        0%, 100% { opacity: 0.8; transform: scale(1); }
+        50%       { opacity: 1;   transform: scale(1.04); }
+      }
+
+      .auth-bg-vignette {
+        background: radial-gradient(ellipse 70% 70% at 50% 50%, transparent 40%, rgba(2,1,8,0.7) 100%);
+        z-index: 2;
+      }
+
+      /* ── ORBS ── */
+      .floating-orb {
+        position: absolute;
+        border-radius: 50%;
+        pointer-events: none;
+        z-index: 3;
+        animation: orbDrift linear infinite;
+        filter: blur(1px);
+        transform: translate(-50%, -50%);
+      }
+
+      @keyframes orbDrift {
+        0%   { transform: translate(-50%, -50%) scale(1) rotate(0deg); }
+        25%  { transform: translate(calc(-50% + 30px), calc(-50% - 20px)) scale(1.05) rotate(90deg); }
+        50%  { transform: translate(calc(-50% + 15px), calc(-50% + 25px)) scale(0.95) rotate(180deg); }
+        75%  { transform: translate(calc(-50% - 20px), calc(-50% + 10px)) scale(1.03) rotate(270deg); }
+        100% { transform: translate(-50%, -50%) scale(1) rotate(360deg); }
+      }
+
+      /* ── PARTICLES ── */
+      .particle-field { position: absolute; inset: 0; z-index: 4; pointer-events: none; }
+
+      .particle {
+        position: absolute;
+        border-radius: 50%;
+        background: radial-gradient(circle, rgba(167,139,250,0.8) 0%, rgba(99,102,241,0.3) 60%, transparent 100%);
+        animation: particleFloat linear infinite;
+        box-shadow: 0 0 6px rgba(167,139,250,0.4);
+      }
+
+      @keyframes particleFloat {
+        0%   { transform: translateY(0px) translateX(0px); opacity: 0; }
+        10%  { opacity: 1; }
+        50%  { transform: translateY(-120px) translateX(20px); }
+        90%  { opacity: 0.6; }
+        100% { transform: translateY(-240px) translateX(-10px); opacity: 0; }
+      }
+
+      /* ── DRIFT LINES ── */
+      .drift-lines { position: absolute; inset: 0; z-index: 4; pointer-events: none; overflow: hidden; }
+
+      .drift-line {
+        position: absolute;
+        left: -100%;
+        width: 40%;
+        height: 1px;
+        background: linear-gradient(90deg, transparent, rgba(99,102,241,0.12), rgba(167,139,250,0.08), transparent);
+        animation: lineDrift 18s linear infinite;
+      }
+
+      @keyframes lineDrift {
+        0%   { left: -40%; opacity: 0; }
+        5%   { opacity: 1; }
+        95%  { opacity: 0.5; }
+        100% { left: 100%; opacity: 0; }
+      }
+
+      /* ── RIPPLE ── */
+      .ripple-glow {
+        position: absolute;
+        width: 400px;
+        height: 400px;
+        border-radius: 50%;
+        background: radial-gradient(circle, rgba(99,102,241,0.06) 0%, transparent 70%);
+        transform: translate(-50%, -50%);
+        pointer-events: none;
+        z-index: 5;
+        transition: left 0.15s ease-out, top 0.15s ease-out;
+      }
+
+      /* ── THEME BUTTON ── */
+      .auth-theme-btn {
+        position: absolute;
+        top: 1.5rem;
+        right: 1.5rem;
+        width: 42px;
+        height: 42px;
+        background: rgba(255,255,255,0.04);
+        border: 1px solid rgba(167,139,250,0.2);
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        cursor: pointer;
+        z-index: 20;
+        font-size: 1.1rem;
+        color: rgba(167,139,250,0.7);
+        transition: all 0.3s ease;
+        backdrop-filter: blur(8px);
+      }
+      .auth-theme-btn:hover {
+        background: rgba(99,102,241,0.12);
+        border-color: rgba(167,139,250,0.5);
+        color: #a78bfa;
+        transform: rotate(20deg) scale(1.1);
+      }
+
+      /* ── CARD ── */
+      .auth-card {
+        position: relative;
+        z-index: 10;
+        width: 100%;
+        max-width: 420px;
+        padding: 2.5rem 2.5rem 2rem;
+        background: rgba(13, 10, 30, 0.72);
+        border: 1px solid rgba(167, 139, 250, 0.18);
+        border-radius: 24px;
+        backdrop-filter: blur(24px) saturate(1.4);
+        box-shadow:
+          0 0 0 1px rgba(99,102,241,0.06),
+          0 20px 80px rgba(0,0,0,0.6),
+          0 0 60px rgba(99,102,241,0.06),
+          inset 0 1px 0 rgba(255,255,255,0.06);
+        animation: cardReveal 0.9s cubic-bezier(0.16,1,0.3,1) both;
+        transition: transform 0.4s ease, box-shadow 0.4s ease;
+      }
+
+      /* Light mode card */
+      .auth-immersive--light .auth-card {
+        background: rgba(255, 255, 255, 0.82);
+        border: 1px solid rgba(99, 102, 241, 0.2);
+        box-shadow:
+          0 0 0 1px rgba(99,102,241,0.08),
+          0 20px 80px rgba(99,102,241,0.12),
+          0 0 60px rgba(99,102,241,0.05),
+          inset 0 1px 0 rgba(255,255,255,0.9);
+      }
+
+      .auth-immersive--light .auth-card:hover {
+        box-shadow:
+          0 0 0 1px rgba(99,102,241,0.15),
+          0 25px 100px rgba(99,102,241,0.18),
+          inset 0 1px 0 rgba(255,255,255,0.9);
+      }
+
+      .auth-card:hover {
+        box-shadow:
+          0 0 0 1px rgba(99,102,241,0.1),
+          0 25px 100px rgba(0,0,0,0.65),
+          0 0 80px rgba(99,102,241,0.09),
+          inset 0 1px 0 rgba(255,255,255,0.07);
+      }
+
+      @keyframes cardReveal {
+        from { opacity: 0; transform: translateY(28px) scale(0.97); }
+        to   { opacity: 1; transform: translateY(0)    scale(1); }
+      }
+
+      .card-glow-ring {
+        position: absolute;
+        inset: -1px;
+        border-radius: 25px;
+        background: linear-gradient(135deg, rgba(99,102,241,0.2), rgba(56,189,248,0.1), rgba(167,139,250,0.15), rgba(56,189,248,0.08));
+        -webkit-mask: linear-gradient(#fff 0 0) content-box, linear-gradient(#fff 0 0);
+        -webkit-mask-composite: xor;
+        mask-composite: exclude;
+        padding: 1px;
+        pointer-events: none;
+        opacity: 0.6;
+        animation: ringShimmer 6s ease-in-out infinite;
+      }
+
+      @keyframes ringShimmer {
+        0%, 100% { opacity: 0.4; }
+        50%       { opacity: 0.9; }
+      }
+
+      .card-bottom-glow {
+        position: absolute;
+        bottom: -20px;
+        left: 10%;
+        right: 10%;
+        height: 40px;
+        background: radial-gradient(ellipse, rgba(99,102,241,0.15) 0%, transparent 70%);
+        filter: blur(12px);
+        pointer-events: none;
+      }
+
+      /* ── BRAND ── */
+      .auth-brand {
+        display: flex;
+        align-items: center;
+        gap: 0.9rem;
+        margin-bottom: 2rem;
+        animation: slideDown 0.7s cubic-bezier(0.16,1,0.3,1) 0.1s both;
+      }
+
+      @keyframes slideDown {
+        from { opacity: 0; transform: translateY(-12px); }
+        to   { opacity: 1; transform: translateY(0); }
+      }
+
+      .brand-icon {
+        width: 52px;
+        height: 52px;
+        border-radius: 14px;
+        background: linear-gradient(135deg, rgba(99,102,241,0.2), rgba(56,189,248,0.15));
+        border: 1px solid rgba(167,139,250,0.25);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        flex-shrink: 0;
+        position: relative;
+        animation: iconPulse 4s ease-in-out infinite;
+      }
+
+      @keyframes iconPulse {
+        0%, 100% { box-shadow: 0 0 0 0 rgba(99,102,241,0.2); }
+        50%       { box-shadow: 0 0 0 8px rgba(99,102,241,0); }
+      }
+
+      .brand-icon-inner { animation: iconSpin 20s linear infinite; }
+      @keyframes iconSpin {
+        from { transform: rotate(0deg); }
+        to   { transform: rotate(360deg); }
+      }
+
+      .auth-logo {
+        font-family: 'Cormorant Garamond', serif;
+        font-size: 1.85rem;
+        font-weight: 600;
+        background: linear-gradient(135deg, #c4b5fd 0%, #93c5fd 50%, #a78bfa 100%);
+        -webkit-background-clip: text;
+        -webkit-text-fill-color: transparent;
+        background-clip: text;
+        letter-spacing: 0.02em;
+        line-height: 1.1;
+        margin: 0;
+      }
+
+      /* Light mode — darker gradient so it's readable on white */
+      .auth-immersive--light .auth-logo {
+        background: linear-gradient(135deg, #6366f1 0%, #7c3aed 50%, #4f46e5 100%);
+        -webkit-background-clip: text;
+        -webkit-text-fill-color: transparent;
+        background-clip: text;
+      }
+
+      .auth-tagline {
+        font-size: 0.78rem;
+        color: rgba(148,163,184,0.7);
+        letter-spacing: 0.03em;
+        margin: 0.15rem 0 0;
+        font-weight: 400;
+        font-style: italic;
+        font-family: 'Cormorant Garamond', serif;
+      }
+
+      .auth-immersive--light .auth-tagline { color: rgba(100,100,130,0.75); }
+
+      /* ── TABS ── */
+      .auth-tabs {
+        display: flex;
+        position: relative;
+        background: rgba(255,255,255,0.03);
+        border: 1px solid rgba(255,255,255,0.07);
+        border-radius: 12px;
+        padding: 4px;
+        margin-bottom: 1.8rem;
+        animation: slideDown 0.7s cubic-bezier(0.16,1,0.3,1) 0.15s both;
+      }
+
+      .auth-immersive--light .auth-tabs {
+        background: rgba(99,102,241,0.05);
+        border: 1px solid rgba(99,102,241,0.15);
+      }
+
+      .auth-tab {
+        flex: 1;
+        padding: 0.55rem;
+        background: none;
+        border: none;
+        border-radius: 9px;
+        font-size: 0.85rem;
+        font-weight: 500;
+        color: rgba(148,163,184,0.6);
+        cursor: pointer;
+        position: relative;
+        z-index: 2;
+        transition: color 0.3s ease;
+        font-family: 'DM Sans', sans-serif;
+        letter-spacing: 0.01em;
+      }
+
+      .auth-tab--active { color: #e2e8f0; }
+      .auth-immersive--light .auth-tab--active { color: #1e1b4b; }
+      .auth-immersive--light .auth-tab:not(.auth-tab--active) { color: rgba(99,102,241,0.5); }
+      .auth-tab:not(.auth-tab--active):hover { color: rgba(148,163,184,0.9); }
+      .auth-immersive--light .auth-tab:not(.auth-tab--active):hover { color: rgba(99,102,241,0.8); }
+
+      .auth-tab-indicator {
+        position: absolute;
+        left: 4px;
+        top: 4px;
+        bottom: 4px;
+        width: calc(50% - 4px);
+        background: linear-gradient(135deg, rgba(99,102,241,0.3), rgba(139,92,246,0.2));
+        border: 1px solid rgba(167,139,250,0.25);
+        border-radius: 9px;
+        transition: transform 0.35s cubic-bezier(0.34,1.56,0.64,1);
+        box-shadow: 0 2px 12px rgba(99,102,241,0.15);
+      }
+
+      .auth-immersive--light .auth-tab-indicator {
+        background: linear-gradient(135deg, rgba(99,102,241,0.15), rgba(139,92,246,0.1));
+        border: 1px solid rgba(99,102,241,0.3);
+        box-shadow: 0 2px 12px rgba(99,102,241,0.1);
+      }
+
+      .auth-tab-indicator--right { transform: translateX(100%); }
+
+      /* ── FORM FIELDS ── */
+      .auth-form-new {
+        display: flex;
+        flex-direction: column;
+        gap: 0;
+        animation: slideDown 0.7s cubic-bezier(0.16,1,0.3,1) 0.2s both;
+      }
+
+      .auth-form-new[hidden] { display: none; }
+
+      .form-fields { display: flex; flex-direction: column; gap: 0.6rem; margin-bottom: 1rem; }
+
+      .auth-field {
+        position: relative;
+        display: flex;
+        align-items: center;
+        background: rgba(255,255,255,0.03);
+        border: 1px solid rgba(255,255,255,0.08);
+        border-radius: 13px;
+        transition: all 0.3s ease;
+        overflow: hidden;
+        height: 58px;
+      }
+
+      .auth-immersive--light .auth-field {
+        background: rgba(99,102,241,0.04);
+        border: 1px solid rgba(99,102,241,0.15);
+      }
+
+      .auth-field::before {
+        content: '';
+        position: absolute;
+        inset: 0;
+        border-radius: 13px;
+        background: linear-gradient(135deg, rgba(99,102,241,0.08), transparent);
+        opacity: 0;
+        transition: opacity 0.3s ease;
+      }
+
+      .auth-field--focused {
+        border-color: rgba(167,139,250,0.45);
+        background: rgba(99,102,241,0.07);
+        box-shadow: 0 0 0 3px rgba(99,102,241,0.1), 0 4px 20px rgba(99,102,241,0.08);
+      }
+
+      .auth-immersive--light .auth-field--focused {
+        border-color: rgba(99,102,241,0.5);
+        background: rgba(99,102,241,0.06);
+        box-shadow: 0 0 0 3px rgba(99,102,241,0.12), 0 4px 20px rgba(99,102,241,0.06);
+      }
+
+      .auth-field--focused::before { opacity: 1; }
+
+      .field-icon {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 44px;
+        flex-shrink: 0;
+        color: rgba(148,163,184,0.4);
+        transition: color 0.3s ease;
+        position: relative;
+        z-index: 2;
+        align-self: stretch;
+        padding-top: 0;
+      }
+
+      .auth-field--focused .field-icon,
+      .auth-field--filled .field-icon { color: #a78bfa; }
+
+      .auth-immersive--light .auth-field--focused .field-icon,
+      .auth-immersive--light .auth-field--filled .field-icon { color: #6366f1; }
+
+      /* FIX: Input uses padding-top to clear the floating label space */
+      .auth-field input {
+        flex: 1;
+        height: 100%;
+        background: none;
+        border: none;
+        outline: none;
+        font-size: 0.9rem;
+        color: #e2e8f0;
+        font-family: 'DM Sans', sans-serif;
+        font-weight: 400;
+        padding: 18px 0.5rem 0 0;
+        position: relative;
+        z-index: 2;
+        letter-spacing: 0.01em;
+        width: 0; /* forces flex shrink to work correctly */
+        min-width: 0;
+      }
+
+      .auth-immersive--light .auth-field input { color: #1e1b4b; }
+
+      .auth-field input::placeholder {
+        color: transparent; /* Hide placeholder — label serves that role */
+      }
+
+      /* Show placeholder only when NOT focused and NOT filled (fallback) */
+      .auth-field:not(.auth-field--focused):not(.auth-field--filled) input::placeholder {
+        color: rgba(148,163,184,0.35);
+      }
+
+      /* FIX: Label always starts centered, lifts when focused or filled */
+      .auth-field label {
+        position: absolute;
+        left: 44px;
+        right: 44px; /* prevent overlap with eye button */
+        top: 50%;
+        transform: translateY(-50%);
+        font-size: 0.88rem;
+        color: rgba(148,163,184,0.5);
+        pointer-events: none;
+        transition: all 0.22s cubic-bezier(0.4, 0, 0.2, 1);
+        z-index: 3;
+        font-family: 'DM Sans', sans-serif;
+        font-weight: 400;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .auth-immersive--light .auth-field label { color: rgba(99,102,241,0.5); }
+
+      /* When focused OR filled: lift label to top */
+      .auth-field--focused label,
+      .auth-field--filled label {
+        top: 10px;
+        transform: translateY(0);
+        font-size: 0.67rem;
+        color: #a78bfa;
+        letter-spacing: 0.06em;
+        text-transform: uppercase;
+        font-weight: 600;
+      }
+
+      .auth-immersive--light .auth-field--focused label,
+      .auth-immersive--light .auth-field--filled label { color: #6366f1; }
+
+      .field-underline {
+        position: absolute;
+        bottom: 0;
+        left: 10%;
+        right: 10%;
+        height: 1px;
+        background: linear-gradient(90deg, transparent, #a78bfa, transparent);
+        transform: scaleX(0);
+        transition: transform 0.4s cubic-bezier(0.34,1.56,0.64,1);
+      }
+
+      .auth-immersive--light .field-underline {
+        background: linear-gradient(90deg, transparent, #6366f1, transparent);
+      }
+
+      .auth-field--focused .field-underline { transform: scaleX(1); }
+
+      .field-eye-btn {
+        background: none;
+        border: none;
+        padding: 0 14px 0 6px;
+        height: 100%;
+        color: rgba(148,163,184,0.35);
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        transition: color 0.3s ease;
+        position: relative;
+        z-index: 3;
+        flex-shrink: 0;
+      }
+      .field-eye-btn:hover { color: #a78bfa; }
+      .auth-immersive--light .field-eye-btn { color: rgba(99,102,241,0.35); }
+      .auth-immersive--light .field-eye-btn:hover { color: #6366f1; }
+
+      /* ── ERROR ── */
+      .auth-error {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.65rem 0.9rem;
+        background: rgba(239,68,68,0.08);
+        border: 1px solid rgba(239,68,68,0.2);
+        border-radius: 10px;
+        color: #fca5a5;
+        font-size: 0.82rem;
+        margin-bottom: 0.8rem;
+        animation: errorShake 0.4s ease;
+      }
+
+      .auth-immersive--light .auth-error {
+        background: rgba(239,68,68,0.06);
+        color: #dc2626;
+      }
+
+      @keyframes errorShake {
+        0%, 100% { transform: translateX(0); }
+        20%  { transform: translateX(-5px); }
+        40%  { transform: translateX(5px); }
+        60%  { transform: translateX(-3px); }
+        80%  { transform: translateX(3px); }
+      }
+
+      /* ── SUBMIT BUTTON ── */
+      .auth-submit {
+        position: relative;
+        width: 100%;
+        height: 52px;
+        background: linear-gradient(135deg, #4f46e5 0%, #7c3aed 50%, #6366f1 100%);
+        border: none;
+        border-radius: 13px;
+        color: white;
+        font-family: 'DM Sans', sans-serif;
+        font-size: 0.92rem;
+        font-weight: 600;
+        letter-spacing: 0.04em;
+        cursor: pointer;
+        overflow: hidden;
+        transition: all 0.3s ease;
+        box-shadow: 0 4px 20px rgba(99,102,241,0.3), 0 1px 3px rgba(0,0,0,0.4);
+        margin-bottom: 0.9rem;
+      }
+
+      .auth-submit:hover:not(:disabled) {
+        transform: translateY(-2px);
+        box-shadow: 0 8px 30px rgba(99,102,241,0.45), 0 2px 6px rgba(0,0,0,0.4);
+        background: linear-gradient(135deg, #5a51e8 0%, #8b44f0 50%, #7275f4 100%);
+      }
+
+      .auth-submit:active:not(:disabled) { transform: translateY(0); }
+      .auth-submit:disabled { cursor: not-allowed; opacity: 0.8; }
+
+      .auth-submit--success {
+        background: linear-gradient(135deg, #059669, #10b981) !important;
+        box-shadow: 0 8px 30px rgba(16,185,129,0.35) !important;
+        animation: successPop 0.4s cubic-bezier(0.34,1.56,0.64,1);
+      }
+
+      @keyframes successPop {
+        0%   { transform: scale(0.96); }
+        60%  { transform: scale(1.03); }
+        100% { transform: scale(1); }
+      }
+
+      .submit-text {
+        position: relative;
+        z-index: 2;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 0.4rem;
+      }
+
+      .submit-spinner {
+        width: 18px;
+        height: 18px;
+        border: 2px solid rgba(255,255,255,0.3);
+        border-top-color: white;
+        border-radius: 50%;
+        animation: spinnerRotate 0.8s linear infinite;
+        display: inline-block;
+      }
+
+      @keyframes spinnerRotate { to { transform: rotate(360deg); } }
+
+      .submit-shine {
+        position: absolute;
+        top: 0;
+        left: -100%;
+        width: 60%;
+        height: 100%;
+        background: linear-gradient(90deg, transparent, rgba(255,255,255,0.12), transparent);
+        animation: shineSweep 3.5s ease-in-out infinite;
+      }
+
+      @keyframes shineSweep {
+        0%   { left: -100%; }
+        30%  { left: 150%; }
+        100% { left: 150%; }
+      }
+
+      /* Fields without a leading icon */
+      .auth-field--plain input { padding-left: 1rem; }
+      .auth-field--plain label { left: 1rem; }
+
+      /* ── NOTICE ── */
+      .auth-notice {
+        padding: 0.65rem 0.9rem;
+        background: rgba(56,189,248,0.08);
+        border: 1px solid rgba(56,189,248,0.2);
+        border-radius: 10px;
+        color: #7dd3fc;
+        font-size: 0.82rem;
+        margin-bottom: 0.8rem;
+      }
+      .auth-immersive--light .auth-notice { color: #0369a1; }
+
+      .auth-restore-hint {
+        font-size: 0.82rem;
+        color: rgba(148,163,184,0.7);
+        margin-bottom: 1rem;
+        line-height: 1.5;
+      }
+      .auth-immersive--light .auth-restore-hint { color: rgba(71,85,105,0.8); }
+
+      /* ── SWITCH ── */
+      .auth-switch {
+        background: none;
+        border: none;
+        width: 100%;
+        text-align: center;
+        font-family: 'DM Sans', sans-serif;
+        font-size: 0.82rem;
+        color: rgba(148,163,184,0.5);
+        cursor: pointer;
+        padding: 0.3rem;
+        transition: color 0.3s ease;
+        letter-spacing: 0.01em;
+      }
+      .auth-immersive--light .auth-switch { color: rgba(99,102,241,0.5); }
+      .auth-switch span {
+        color: #a78bfa;
+        font-weight: 500;
+        transition: all 0.3s ease;
       }
       .auth-immersive--light .auth-switch span { color: #6366f1; }
       .auth-switch:hover { color: rgba(148,163,184,0.8); }
@@ -1517,576 +4634,2058 @@ function AuthStyles() {
       }
       .auth-immersive--light .auth-footer { color: rgba(99,102,241,0.3); }
 
-      @keyframes fadeUp {
-        from { opacity: 0; transform: translateY(10px); }
-        to   { opacity: 1; transform: translateY(0); }
-      }
+      @keyframes fadeUp {
+        from { opacity: 0; transform: translateY(10px); }
+        to   { opacity: 1; transform: translateY(0); }
+      }
+
+      /* ── SUCCESS STATE ── */
+      .success-state .auth-card {
+        animation: successGlow 0.6s ease forwards;
+      }
+
+      @keyframes successGlow {
+        to {
+          box-shadow:
+            0 0 0 1px rgba(16,185,129,0.2),
+            0 25px 100px rgba(0,0,0,0.65),
+            0 0 80px rgba(16,185,129,0.15),
+            inset 0 1px 0 rgba(255,255,255,0.07);
+        }
+      }
+
+      /* ── RESPONSIVE ── */
+      @media (max-width: 480px) {
+        .auth-card { padding: 2rem 1.5rem 1.8rem; max-width: 100%; }
+        .auth-logo { font-size: 1.6rem; }
+      }
+    `}</style>
+  );
+}
+
+// COMPONENTS
+function LoadingScreen({ theme }) {
+  return (
+    <div className={`app ${theme}`}>
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading your journey...</p>
+      </div>
+      <GlobalStyles theme={theme} />
+    </div>
+  );
+}
+
+function SaveErrorBanner({ reason, onRetry, onFreeSpace }) {
+  return (
+    <div className="save-error-banner" role="alert">
+      <span>
+        {reason === 'quota'
+          ? '⚠️ Browser storage is full, so your latest changes are not saved.'
+          : '⚠️ Your latest changes could not be saved.'}
+        {' '}They are kept in this tab until a save succeeds.
+      </span>
+      <div className="save-error-actions">
+        {reason === 'quota' && <button onClick={onFreeSpace}>Free up space</button>}
+        <button onClick={onRetry}>Retry</button>
+      </div>
+    </div>
+  );
+}
+
+function UndoToast({ toast, onUndo, onRedo, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{toast.message}</span>
+      {toast.action === 'undo' ? (
+        <button onClick={onUndo} title="Ctrl+Z">Undo</button>
+      ) : (
+        <button onClick={onRedo} title="Ctrl+Shift+Z">Redo</button>
+      )}
+      <button className="undo-toast-close" onClick={onDismiss} aria-label="Dismiss">×</button>
+    </div>
+  );
+}
+
+function RecoveryScreen({ report, data, theme, onContinue }) {
+  const [copyDeleted, setCopyDeleted] = useState(false);
+  const recoveredHabits = data.users.reduce((sum, u) => sum + u.habits.length, 0);
+  const explanations = {
+    'parse-error': 'Your saved data could not be read. It looks corrupted, so none of it could be loaded.',
+    'invalid-records': 'Some of your saved records were damaged. We repaired what we could and skipped the rest.',
+    'migration-failed': 'Your saved data could not be upgraded to the format this version of Momentum uses.'
+  };
+
+  const downloadRaw = () => {
+    const stamp = report.detectedAt.replace(/[:.]/g, '-');
+    downloadFile(`momentum-raw-data-${stamp}.json`, report.raw, 'application/json');
+  };
+
+  const deleteCopy = async () => {
+    if (!confirm('Delete the copy of your original data? Download it first if you may still need it.')) return;
+    await storage.deleteQuarantined(report.quarantineId);
+    setCopyDeleted(true);
+  };
+
+  return (
+    <div className={`app ${theme}`}>
+      <div className="recovery-screen">
+        <div className="recovery-card">
+          <div className="recovery-icon">🛟</div>
+          <h2>We found a problem with your saved data</h2>
+          <p>{explanations[report.reason]}</p>
+          <p>
+            {copyDeleted
+              ? <>The copy of the original data has been deleted.</>
+              : report.quarantineId
+                ? <>Nothing has been overwritten. A copy of the original data was set aside in browser storage; you can delete it here or later under Settings → Storage.</>
+                : <>A backup copy could not be set aside in browser storage, so please download the raw data before continuing.</>}
+          </p>
+
+          {report.issues.length > 0 && (
+            <ul className="recovery-issues">
+              {report.issues.slice(0, 8).map((issue, i) => (
+                <li key={i}>{issue.path && <code>{issue.path}</code>} {issue.message}</li>
+              ))}
+              {report.issues.length > 8 && <li>…and {report.issues.length - 8} more</li>}
+            </ul>
+          )}
+
+          <p className="recovery-summary">
+            Recovered {data.users.length} account{data.users.length === 1 ? '' : 's'} and {recoveredHabits} habit{recoveredHabits === 1 ? '' : 's'}.
+          </p>
+
+          <div className="recovery-actions">
+            <button className="cancel-btn" onClick={downloadRaw}>Download raw data</button>
+            {report.quarantineId && !copyDeleted && <button className="cancel-btn" onClick={deleteCopy}>Delete copy</button>}
+            <button className="save-btn" onClick={onContinue}>{data.users.length > 0 ? 'Continue with recovered data' : 'Start fresh'}</button>
+          </div>
+        </div>
+      </div>
+      <GlobalStyles theme={theme} />
+    </div>
+  );
+}
+
+function LockScreen({ user, theme, onUnlock, onSwitchProfile, onSignOut }) {
+  const [usePassword, setUsePassword] = useState(!user.security?.pin);
+  const [secret, setSecret] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    const { unlocked, pinBlocked } = await onUnlock(secret, usePassword ? 'password' : 'pin');
+    if (unlocked) return;
+    setBusy(false);
+    setSecret('');
+    if (pinBlocked && !usePassword) {
+      setUsePassword(true);
+      setError('Too many wrong PINs. Enter your password to unlock.');
+    } else {
+      setError(usePassword ? 'Incorrect password' : 'Incorrect PIN');
+    }
+  };
+
+  return (
+    <div className={`app ${theme}`}>
+      <div className="recovery-screen">
+        <form className="recovery-card lock-card" onSubmit={handleSubmit}>
+          <Avatar user={user} size="lg" />
+          <h2>Welcome back, {user.name}</h2>
+          <p>Enter your {usePassword ? 'password' : 'PIN'} to continue.</p>
+          <div className="form-field">
+            {usePassword ? (
+              <input key="password" type="password" value={secret} onChange={(e) => setSecret(e.target.value)} placeholder="Password" autoComplete="current-password" required autoFocus />
+            ) : (
+              <input key="pin" type="password" inputMode="numeric" pattern="\d{4,6}" maxLength={6} value={secret} onChange={(e) => setSecret(e.target.value.replace(/\D/g, ''))} placeholder="PIN" autoComplete="off" className="lock-pin" required autoFocus />
+            )}
+          </div>
+          {error && <div className="settings-message error">{error}</div>}
+          <button className="save-btn" type="submit" disabled={busy}>{busy ? 'Unlocking…' : 'Unlock'}</button>
+          <div className="lock-links">
+            {user.security?.pin && (
+              <button type="button" onClick={() => { setUsePassword(!usePassword); setSecret(''); setError(null); }}>
+                {usePassword ? 'Use PIN instead' : 'Use password instead'}
+              </button>
+            )}
+            <button type="button" onClick={onSwitchProfile}>Switch profile</button>
+            <button type="button" onClick={onSignOut}>Sign out</button>
+          </div>
+        </form>
+      </div>
+      <GlobalStyles theme={theme} />
+    </div>
+  );
+}
+
+function Avatar({ user, size = 'sm' }) {
+  return (
+    <div className={`avatar avatar--${size}`} style={{ background: getAvatarGradient(user.id) }} aria-hidden="true">
+      {getInitials(user.name)}
+    </div>
+  );
+}
+
+function ProfilePicker({ users, rememberedIds, theme, toggleTheme, onOpen, onForget, onAddAccount }) {
+  const [opening, setOpening] = useState(null);
+
+  const open = async (user) => {
+    setOpening(user.id);
+    try {
+      await onOpen(user);
+    } finally {
+      setOpening(null);
+    }
+  };
+
+  const forget = (user) => {
+    if (!confirm(`Forget ${user.name} on this device? Their password will be needed to open the profile again.`)) return;
+    onForget(user.id);
+  };
+
+  return (
+    <div className={`app ${theme}`}>
+      <button className="theme-toggle-btn profile-picker-theme" onClick={toggleTheme}>{theme === 'dark' ? '☀️' : '🌙'}</button>
+      <div className="recovery-screen">
+        <div className="recovery-card profile-picker">
+          <h1 className="logo">✨ Momentum</h1>
+          <h2>Who's tracking today?</h2>
+          <ul className="profile-list">
+            {users.map(user => {
+              const remembered = rememberedIds.includes(user.id);
+              return (
+                <li key={user.id} className="profile-item">
+                  <button className="profile-open" onClick={() => open(user)} disabled={opening !== null}>
+                    <Avatar user={user} size="md" />
+                    <span className="profile-details">
+                      <span className="profile-name">{user.name}</span>
+                      <span className="profile-email">{user.email}</span>
+                    </span>
+                    <span className="profile-status">
+                      {opening === user.id ? 'Opening…' : remembered && user.security?.pin ? 'PIN' : 'Password'}
+                    </span>
+                  </button>
+                  {remembered && (
+                    <button className="profile-forget" onClick={() => forget(user)} title="Forget on this device" aria-label={`Forget ${user.name} on this device`}>×</button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          <button className="cancel-btn" onClick={onAddAccount}>+ Add another account</button>
+        </div>
+      </div>
+      <GlobalStyles theme={theme} />
+    </div>
+  );
+}
+
+function Header({ user, onSignOut, onSwitchProfile, onLock, theme, toggleTheme, currentView, setCurrentView }) {
+  return (
+    <header className="header">
+      <div className="header-content">
+        <h1 className="logo">✨ Momentum</h1>
+        
+        <nav className="nav">
+          <button className={currentView === 'dashboard' ? 'active' : ''} onClick={() => setCurrentView('dashboard')}>Dashboard</button>
+          <button className={currentView === 'habits' ? 'active' : ''} onClick={() => setCurrentView('habits')}>Habits</button>
+          <button className={currentView === 'calendar' ? 'active' : ''} onClick={() => setCurrentView('calendar')}>Calendar</button>
+          <button className={currentView === 'analytics' ? 'active' : ''} onClick={() => setCurrentView('analytics')}>Analytics</button>
+          <button className={currentView === 'settings' ? 'active' : ''} onClick={() => setCurrentView('settings')}>Settings</button>
+        </nav>
+        
+        <div className="header-actions">
+          <button className="theme-toggle-btn" onClick={toggleTheme}>{theme === 'dark' ? '☀️' : '🌙'}</button>
+          <button className="theme-toggle-btn" onClick={onLock} title="Lock">🔒</button>
+          <div className="user-menu">
+            <Avatar user={user} />
+            <span className="user-name">{user.name}</span>
+            <button className="sign-out-btn" onClick={onSwitchProfile} title="Switch profile">Switch</button>
+            <button className="sign-out-btn" onClick={onSignOut}>Sign Out</button>
+          </div>
+        </div>
+      </div>
+    </header>
+  );
+}
+
+function Dashboard({ user, selectedDate, setSelectedDate, toggleHabitCompletion, toggleSkip, setHabitAmount, logSlip, timers, onStartTimer, onPauseTimer, onStopTimer, setMood, setReflection, getDailyQuote, getBestHabit, onAddHabit, onEditHabit, onArchiveHabit }) {
+  const dateKey = getDateKey(selectedDate);
+  const currentMood = user.moods?.[dateKey];
+  const currentReflection = user.reflections?.[dateKey] || '';
+  const [reflectionText, setReflectionText] = useState(currentReflection);
+  
+  useEffect(() => {
+    setReflectionText(currentReflection);
+  }, [currentReflection]);
+  const bestHabit = getBestHabit();
+  
+  const activeHabits = getActiveHabits(user);
+  const todayHabits = activeHabits.filter(habit => isHabitDueOn(habit, selectedDate));
+  const pausedHabits = activeHabits.filter(habit => isPausedOn(habit, dateKey));
+  // A quota habit whose quota is already met elsewhere in the period is not
+  // owed today, so it only counts toward progress if done anyway. Skipped
+  // habits are not owed either.
+  const owedHabits = todayHabits.filter(habit => !isSkipped(habit, dateKey)
+    && (!isQuotaHabit(habit) || isHabitDoneOn(habit, dateKey) || getQuotaProgress(habit, dateKey).remaining > 0));
+  
+  const completedToday = owedHabits.filter(h => isHabitDoneOn(h, dateKey)).length;
+  const totalToday = owedHabits.length;
+  const completionPercentage = totalToday > 0 ? (completedToday / totalToday) * 100 : 0;
+
+  return (
+    <div className="dashboard">
+      <div className="quote-section">
+        <p className="quote">{getDailyQuote()}</p>
+      </div>
+      
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-icon">🎯</div>
+          <div className="stat-content">
+            <div className="stat-value">{completedToday}/{totalToday}</div>
+            <div className="stat-label">Today's Progress</div>
+          </div>
+          <div className="progress-ring">
+            <svg width="80" height="80">
+              <circle cx="40" cy="40" r="36" fill="none" stroke="var(--border)" strokeWidth="6" />
+              <circle cx="40" cy="40" r="36" fill="none" stroke="var(--accent)" strokeWidth="6" strokeDasharray={`${2 * Math.PI * 36}`} strokeDashoffset={`${2 * Math.PI * 36 * (1 - completionPercentage / 100)}`} transform="rotate(-90 40 40)" className="progress-circle" />
+            </svg>
+          </div>
+        </div>
+        
+        <div className="stat-card">
+          <div className="stat-icon">🔥</div>
+          <div className="stat-content">
+            <div className="stat-value">{activeHabits.reduce((max, h) => Math.max(max, getLiveStreaks(h).currentStreak), 0)}</div>
+            <div className="stat-label">Longest Active Streak</div>
+          </div>
+        </div>
+        
+        <div className="stat-card">
+          <div className="stat-icon">⭐</div>
+          <div className="stat-content">
+            <div className="stat-value">{activeHabits.length}</div>
+            <div className="stat-label">Active Habits</div>
+          </div>
+        </div>
+        
+        {bestHabit && (
+          <div className="stat-card best-habit">
+            <div className="stat-icon">🏆</div>
+            <div className="stat-content">
+              <div className="stat-value">{bestHabit.name}</div>
+              <div className="stat-label">Best Habit - {getLiveStreaks(bestHabit).currentStreak} {getStreakUnit(bestHabit)} streak!</div>
+            </div>
+          </div>
+        )}
+      </div>
+      
+      <div className="dashboard-grid">
+        <div className="habits-section">
+          <div className="section-header">
+            <h2>Today's Habits</h2>
+            <button className="add-btn" onClick={onAddHabit}>+ Add Habit</button>
+          </div>
+          
+          {pausedHabits.length > 0 && (
+            <p className="paused-note">⏸ Paused: {pausedHabits.map(h => h.name).join(', ')}</p>
+          )}
+          
+          {todayHabits.length === 0 ? pausedHabits.length === 0 && (
+            <div className="empty-state">
+              <p>No habits yet! Start building your routine.</p>
+              <button className="cta-btn" onClick={onAddHabit}>Create Your First Habit</button>
+            </div>
+          ) : (
+            <div className="habits-list">
+              {todayHabits.map(habit => (
+                <HabitCard
+                  key={habit.id}
+                  habit={habit}
+                  date={selectedDate}
+                  onToggle={() => toggleHabitCompletion(habit.id, selectedDate)}
+                  onSkip={() => toggleSkip(habit.id, selectedDate)}
+                  onSetAmount={(amount) => setHabitAmount(habit.id, selectedDate, amount)}
+                  onLogSlip={(change) => logSlip(habit.id, selectedDate, change)}
+                  timer={timers[habit.id]}
+                  onStartTimer={() => onStartTimer(habit.id, selectedDate)}
+                  onPauseTimer={() => onPauseTimer(habit.id)}
+                  onStopTimer={() => onStopTimer(habit.id)}
+                  onEdit={() => onEditHabit(habit)}
+                  onArchive={() => onArchiveHabit(habit.id)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+        
+        <div className="mood-reflection-section">
+          <div className="mood-tracker">
+            <h3>How are you feeling today?</h3>
+            <div className="mood-options">
+              {moodOptions.map(mood => (
+                <button key={mood.value} className={`mood-btn ${currentMood === mood.value ? 'selected' : ''}`} onClick={() => setMood(selectedDate, mood.value)} title={mood.label}>
+                  <span className="mood-emoji">{mood.emoji}</span>
+                  <span className="mood-label">{mood.label}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+          
+          <div className="reflection-section">
+            <h3>Daily Reflection</h3>
+            <textarea
+              value={reflectionText}
+              onChange={(e) => setReflectionText(e.target.value)}
+              onBlur={() => setReflection(selectedDate, reflectionText)}
+              placeholder="How was your day? What did you learn?"
+              className="reflection-input"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function HabitCard({ habit, date, onToggle, onSkip, onSetAmount, onLogSlip, timer, onStartTimer, onPauseTimer, onStopTimer, onEdit, onArchive }) {
+  const dateKey = getDateKey(date);
+  const isCompleted = isHabitDoneOn(habit, dateKey);
+  const isMeasured = isMeasuredHabit(habit);
+  const amount = isMeasured ? getLoggedAmount(habit, dateKey) : 0;
+  const step = isDurationHabit(habit) ? 5 : 1;
+  const isAvoid = isAvoidHabit(habit);
+  const slipCount = isAvoid ? habit.slips?.[dateKey] || 0 : 0;
+  const quota = isQuotaHabit(habit) ? getQuotaProgress(habit, dateKey) : null;
+  const skipped = isSkipped(habit, dateKey);
+  const frozen = !isCompleted && getFrozenDays(habit).includes(dateKey);
+  const { currentStreak } = getLiveStreaks(habit);
+  const [showMenu, setShowMenu] = useState(false);
+  const [draft, setDraft] = useState(String(amount));
 
-      /* ── SUCCESS STATE ── */
-      .success-state .auth-card {
-        animation: successGlow 0.6s ease forwards;
-      }
+  useEffect(() => {
+    setDraft(String(amount));
+  }, [amount]);
 
-      @keyframes successGlow {
-        to {
-          box-shadow:
-            0 0 0 1px rgba(16,185,129,0.2),
-            0 25px 100px rgba(0,0,0,0.65),
-            0 0 80px rgba(16,185,129,0.15),
-            inset 0 1px 0 rgba(255,255,255,0.07);
-        }
-      }
+  const commitDraft = () => {
+    const value = Number(draft);
+    if (draft.trim() === '' || !Number.isFinite(value)) setDraft(String(amount));
+    else onSetAmount(value);
+  };
 
-      /* ── RESPONSIVE ── */
-      @media (max-width: 480px) {
-        .auth-card { padding: 2rem 1.5rem 1.8rem; max-width: 100%; }
-        .auth-logo { font-size: 1.6rem; }
-      }
-    `}</style>
+  return (
+    <div className={`habit-card ${isCompleted ? 'completed' : ''} ${slipCount > 0 ? 'slipped' : ''} ${skipped ? 'skipped' : ''}`}>
+      <div className={`habit-main ${isAvoid ? 'habit-main--static' : ''}`} onClick={isAvoid ? undefined : onToggle}>
+        {isAvoid ? (
+          <div className="habit-shield">{slipCount > 0 ? '⚠️' : '🛡️'}</div>
+        ) : isMeasured ? (
+          <HabitProgressRing progress={Math.min(amount / habit.target, 1)} done={isCompleted} />
+        ) : (
+          <div className="habit-checkbox">
+            {isCompleted && <span className="checkmark">✓</span>}
+          </div>
+        )}
+        
+        <div className="habit-info">
+          <h4 className="habit-name">{habit.name}</h4>
+          <div className="habit-meta">
+            <span className="habit-frequency">{describeFrequency(habit)}</span>
+            {skipped && <span className="habit-skipped">⏭ Skipped</span>}
+            {frozen && <span className="habit-frozen" title="A streak freeze covered this missed day">🧊 Freeze used</span>}
+            {quota && (
+              <span className={`habit-quota ${quota.remaining === 0 ? 'met' : ''}`}>
+                {quota.remaining > 0 ? `${quota.remaining} left this ${habit.quotaPeriod}` : `Done for the ${habit.quotaPeriod}`}
+              </span>
+            )}
+            {isMeasured && (
+              <span className="habit-amount">{formatAmount(habit, amount)} of {formatAmount(habit, habit.target)}</span>
+            )}
+            {isAvoid ? (
+              <>
+                <span className="habit-streak">{currentStreak} day{currentStreak === 1 ? '' : 's'} clean</span>
+                {slipCount > 0 && <span className="habit-slipped">Slipped{slipCount > 1 ? ` ×${slipCount}` : ''}</span>}
+              </>
+            ) : currentStreak > 0 && (
+              <span className="habit-streak">🔥 {currentStreak} {getStreakUnit(habit)} streak</span>
+            )}
+          </div>
+        </div>
+      </div>
+      
+      {isAvoid && (
+        <div className="habit-slip-actions">
+          {slipCount > 0 && <button className="cancel-btn" onClick={() => onLogSlip(-1)}>Undo slip</button>}
+          <button className="slip-btn" onClick={() => onLogSlip(1)}>Log slip</button>
+        </div>
+      )}
+      
+      {isDurationHabit(habit) && (
+        <div className="habit-timer">
+          {timer && <TimerClock timer={timer} />}
+          {timer?.startedAt
+            ? <button onClick={onPauseTimer} title="Pause timer" aria-label={`Pause ${habit.name} timer`}>⏸</button>
+            : <button onClick={onStartTimer} title={timer ? 'Resume timer' : 'Start timer'} aria-label={`Start ${habit.name} timer`}>▶</button>}
+          {timer && <button onClick={onStopTimer} title="Stop and log session" aria-label={`Stop ${habit.name} timer`}>⏹</button>}
+        </div>
+      )}
+      
+      {isMeasured && (
+        <div className="habit-stepper">
+          <button onClick={() => onSetAmount(amount - step)} disabled={amount <= 0} aria-label={`Decrease ${habit.name}`}>−</button>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commitDraft}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            aria-label={`${habit.name} amount`}
+          />
+          <button onClick={() => onSetAmount(amount + step)} aria-label={`Increase ${habit.name}`}>+</button>
+        </div>
+      )}
+      
+      <div className="habit-actions">
+        <button className="menu-btn" onClick={() => setShowMenu(!showMenu)}>⋯</button>
+        {showMenu && (
+          <div className="habit-menu">
+            <button onClick={() => { onEdit(); setShowMenu(false); }}>Edit</button>
+            {!isAvoid && (skipped || (!isCompleted && amount === 0)) && (
+              <button onClick={() => { onSkip(); setShowMenu(false); }}>{skipped ? 'Unskip' : 'Skip this day'}</button>
+            )}
+            <button onClick={() => { onArchive(); setShowMenu(false); }} className="delete-btn">Archive</button>
+          </div>
+        )}
+      </div>
+    </div>
   );
 }
 
-// COMPONENTS
-function LoadingScreen({ theme }) {
+function TimerClock({ timer }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!timer.startedAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer.startedAt]);
+
+  return <span className={`timer-clock ${timer.startedAt ? 'running' : ''}`}>{formatTimer(getTimerElapsed(timer, now))}</span>;
+}
+
+function HabitProgressRing({ progress, done }) {
+  const circumference = 2 * Math.PI * 13;
   return (
-    <div className={`app ${theme}`}>
-      <div className="loading">
-        <div className="spinner"></div>
-        <p>Loading your journey...</p>
-      </div>
-      <GlobalStyles theme={theme} />
+    <div className={`habit-ring ${done ? 'done' : ''}`}>
+      <svg width="32" height="32">
+        <circle cx="16" cy="16" r="13" fill="none" stroke="var(--border)" strokeWidth="4" />
+        <circle cx="16" cy="16" r="13" fill="none" stroke={done ? 'var(--success)' : 'var(--accent)'} strokeWidth="4" strokeLinecap="round" strokeDasharray={circumference} strokeDashoffset={circumference * (1 - progress)} transform="rotate(-90 16 16)" className="progress-circle" />
+      </svg>
+      {done && <span className="checkmark">✓</span>}
     </div>
   );
 }
 
-function Header({ user, onSignOut, theme, toggleTheme, currentView, setCurrentView }) {
+function HabitModal({ habit, onClose, onSave, theme }) {
+  const [formData, setFormData] = useState({
+    name: habit?.name || '',
+    description: habit?.description || '',
+    frequency: habit?.frequency || 'daily',
+    selectedDays: habit?.selectedDays || [],
+    difficulty: habit?.difficulty || 'medium',
+    reminderTime: habit?.reminderTime || '',
+    type: habit?.type || 'check',
+    unit: habit?.unit || '',
+    target: habit?.target ? String(habit.target) : '',
+    cleanSince: habit?.cleanSince || getDateKey(habit?.createdAt || new Date()),
+    quotaCount: habit?.quotaCount ? String(habit.quotaCount) : '3',
+    quotaPeriod: habit?.quotaPeriod || 'week',
+    intervalDays: habit?.intervalDays ? String(habit.intervalDays) : '2',
+    intervalStart: habit?.intervalStart || getDateKey(new Date()),
+    streakFreezes: String(habit?.streakFreezes || 0)
+  });
+  // Slips and completions mean different things, so an existing habit cannot
+  // switch between avoiding and building.
+  const lockedToAvoid = habit && isAvoidHabit(habit);
+  const lockedFromAvoid = habit && !isAvoidHabit(habit);
+  
+  const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) return;
+    const { unit, target, cleanSince, quotaCount, quotaPeriod, intervalDays, intervalStart, streakFreezes, ...rest } = formData;
+    const schedule = {
+      quota: { quotaCount: Number(quotaCount), quotaPeriod },
+      interval: { intervalDays: Number(intervalDays), intervalStart }
+    }[rest.frequency];
+    const fields = { ...rest, ...schedule, streakFreezes: rest.frequency === 'quota' ? 0 : Number(streakFreezes) };
+    if (fields.type === 'quantity') onSave({ ...fields, unit: unit.trim(), target: Number(target) });
+    else if (fields.type === 'duration') onSave({ ...fields, target: Number(target) });
+    else if (fields.type === 'avoid') onSave({ ...rest, frequency: 'daily', selectedDays: [], cleanSince });
+    else onSave(fields);
+  };
+  
+  const toggleDay = (day) => {
+    const days = formData.selectedDays.includes(day)
+      ? formData.selectedDays.filter(d => d !== day)
+      : [...formData.selectedDays, day];
+    setFormData({ ...formData, selectedDays: days });
+  };
+
   return (
-    <header className="header">
-      <div className="header-content">
-        <h1 className="logo">✨ Momentum</h1>
-        
-        <nav className="nav">
-          <button className={currentView === 'dashboard' ? 'active' : ''} onClick={() => setCurrentView('dashboard')}>Dashboard</button>
-          <button className={currentView === 'habits' ? 'active' : ''} onClick={() => setCurrentView('habits')}>Habits</button>
-          <button className={currentView === 'calendar' ? 'active' : ''} onClick={() => setCurrentView('calendar')}>Calendar</button>
-          <button className={currentView === 'analytics' ? 'active' : ''} onClick={() => setCurrentView('analytics')}>Analytics</button>
-        </nav>
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{habit ? 'Edit Habit' : 'Create New Habit'}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
         
-        <div className="header-actions">
-          <button className="theme-toggle-btn" onClick={toggleTheme}>{theme === 'dark' ? '☀️' : '🌙'}</button>
-          <div className="user-menu">
-            <span className="user-name">{user.name}</span>
-            <button className="sign-out-btn" onClick={onSignOut}>Sign Out</button>
+        <form onSubmit={handleSubmit} className="modal-form">
+          <div className="form-field">
+            <label>Habit Name</label>
+            <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} placeholder="e.g., Morning meditation" required />
+          </div>
+          
+          <div className="form-field">
+            <label>Description (optional)</label>
+            <textarea value={formData.description} onChange={(e) => setFormData({ ...formData, description: e.target.value })} placeholder="What does this habit mean to you?" rows="3" />
+          </div>
+          
+          <div className="form-field">
+            <label>Tracking</label>
+            <select value={formData.type} onChange={(e) => setFormData({ ...formData, type: e.target.value })}>
+              <option value="check" disabled={lockedToAvoid}>Done / not done</option>
+              <option value="quantity" disabled={lockedToAvoid}>Amount with a daily target</option>
+              <option value="duration" disabled={lockedToAvoid}>Time with a daily target</option>
+              <option value="avoid" disabled={lockedFromAvoid}>Breaking a bad habit (log slips)</option>
+            </select>
+          </div>
+          
+          {formData.type === 'avoid' ? (
+            <div className="form-field">
+              <label>Clean since</label>
+              <input type="date" value={formData.cleanSince} max={getDateKey(new Date())} onChange={(e) => setFormData({ ...formData, cleanSince: e.target.value })} required />
+            </div>
+          ) : (
+            <div className="form-field">
+              <label>Frequency</label>
+              <select value={formData.frequency} onChange={(e) => setFormData({ ...formData, frequency: e.target.value })}>
+                <option value="daily">Daily</option>
+                <option value="weekly">Specific Days</option>
+                <option value="quota">A number of times per week or month</option>
+                <option value="interval">Every few days</option>
+              </select>
+            </div>
+          )}
+          
+          {formData.frequency === 'interval' && formData.type !== 'avoid' && (
+            <div className="form-row">
+              <div className="form-field">
+                <label>Every (days)</label>
+                <input type="number" min="2" max={MAX_INTERVAL_DAYS} step="1" value={formData.intervalDays} onChange={(e) => setFormData({ ...formData, intervalDays: e.target.value })} required />
+              </div>
+              <div className="form-field">
+                <label>Starting</label>
+                <input type="date" value={formData.intervalStart} onChange={(e) => setFormData({ ...formData, intervalStart: e.target.value })} required />
+              </div>
+            </div>
+          )}
+          
+          {formData.frequency === 'quota' && formData.type !== 'avoid' && (
+            <div className="form-row">
+              <div className="form-field">
+                <label>Times</label>
+                <input type="number" min="1" max={QUOTA_PERIOD_DAYS[formData.quotaPeriod]} step="1" value={formData.quotaCount} onChange={(e) => setFormData({ ...formData, quotaCount: e.target.value })} required />
+              </div>
+              <div className="form-field">
+                <label>Per</label>
+                <select value={formData.quotaPeriod} onChange={(e) => setFormData({ ...formData, quotaPeriod: e.target.value })}>
+                  <option value="week">Week</option>
+                  <option value="month">Month</option>
+                </select>
+              </div>
+            </div>
+          )}
+          
+          {formData.type === 'duration' && (
+            <div className="form-field">
+              <label>Daily target (minutes)</label>
+              <input type="number" min="1" step="1" value={formData.target} onChange={(e) => setFormData({ ...formData, target: e.target.value })} placeholder="e.g., 20" required />
+            </div>
+          )}
+          
+          {formData.type === 'quantity' && (
+            <div className="form-row">
+              <div className="form-field">
+                <label>Daily target</label>
+                <input type="number" min="0.01" step="any" value={formData.target} onChange={(e) => setFormData({ ...formData, target: e.target.value })} placeholder="e.g., 8" required />
+              </div>
+              <div className="form-field">
+                <label>Unit (optional)</label>
+                <input type="text" value={formData.unit} onChange={(e) => setFormData({ ...formData, unit: e.target.value })} placeholder="e.g., glasses" maxLength={20} />
+              </div>
+            </div>
+          )}
+          
+          {formData.frequency === 'weekly' && formData.type !== 'avoid' && (
+            <div className="form-field">
+              <label>Select Days</label>
+              <div className="day-selector">
+                {weekDays.map((day, index) => (
+                  <button key={day} type="button" className={`day-btn ${formData.selectedDays.includes(index) ? 'selected' : ''}`} onClick={() => toggleDay(index)}>
+                    {day}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          
+          {formData.type !== 'avoid' && formData.frequency !== 'quota' && (
+            <div className="form-field">
+              <label>Streak freezes per month</label>
+              <select value={formData.streakFreezes} onChange={(e) => setFormData({ ...formData, streakFreezes: e.target.value })}>
+                {Array.from({ length: MAX_STREAK_FREEZES + 1 }, (_, count) => (
+                  <option key={count} value={count}>{count === 0 ? 'None' : `${count} missed day${count === 1 ? '' : 's'} forgiven`}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          
+          <div className="form-field">
+            <label>Reminder time (optional)</label>
+            <input type="time" value={formData.reminderTime} onChange={(e) => setFormData({ ...formData, reminderTime: e.target.value })} />
+          </div>
+          
+          <div className="form-field">
+            <label>Difficulty</label>
+            <select value={formData.difficulty} onChange={(e) => setFormData({ ...formData, difficulty: e.target.value })}>
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+          </div>
+          
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>Cancel</button>
+            <button type="submit" className="save-btn">{habit ? 'Save Changes' : 'Create Habit'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function CalendarView({ user, selectedMonth, setSelectedMonth, selectedDate, setSelectedDate }) {
+  const year = selectedMonth.getFullYear();
+  const month = selectedMonth.getMonth();
+  const firstDay = new Date(year, month, 1).getDay();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  
+  const prevMonth = () => setSelectedMonth(new Date(year, month - 1, 1));
+  const nextMonth = () => setSelectedMonth(new Date(year, month + 1, 1));
+  
+  const frozenDays = new Set(getActiveHabits(user).flatMap(habit => getFrozenDays(habit)));
+  
+  const getDayData = (day) => {
+    const date = new Date(year, month, day);
+    const dateKey = getDateKey(date);
+    const habits = getActiveHabits(user);
+    const pausedHabits = habits.filter(h => isPausedOn(h, dateKey) && !isHabitDoneOn(h, dateKey)).length;
+    const skippedHabits = habits.filter(h => isSkipped(h, dateKey) && !isPausedOn(h, dateKey)).length;
+    const completedHabits = habits.filter(h => isHabitDoneOn(h, dateKey)).length;
+    const totalHabits = habits.length - pausedHabits - skippedHabits;
+    const slips = habits.filter(isAvoidHabit).reduce((sum, h) => sum + (h.slips?.[dateKey] || 0), 0);
+    const mood = user.moods?.[dateKey];
+    const hasReflection = user.reflections?.[dateKey];
+    return { completedHabits, totalHabits, pausedHabits, skippedHabits, frozen: frozenDays.has(dateKey), slips, mood, hasReflection };
+  };
+  
+  const renderCalendarDays = () => {
+    const days = [];
+    
+    for (let i = 0; i < firstDay; i++) {
+      days.push(<div key={`empty-${i}`} className="calendar-day empty"></div>);
+    }
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+      const { completedHabits, totalHabits, pausedHabits, skippedHabits, frozen, slips, mood, hasReflection } = getDayData(day);
+      const date = new Date(year, month, day);
+      const isToday = getDateKey(date) === getDateKey(new Date());
+      const isSelected = getDateKey(date) === getDateKey(selectedDate);
+      const completionRate = totalHabits > 0 ? (completedHabits / totalHabits) * 100 : 0;
+      
+      days.push(
+        <div key={day} className={`calendar-day ${isToday ? 'today' : ''} ${isSelected ? 'selected' : ''} ${pausedHabits > 0 && totalHabits === 0 ? 'paused' : ''}`} onClick={() => setSelectedDate(date)}>
+          <div className="day-number">{day}</div>
+          {totalHabits > 0 && <div className="day-progress" style={{ width: `${completionRate}%` }}></div>}
+          <div className="day-indicators">
+            {mood && <span className="mood-indicator">{['😢', '😕', '😐', '🙂', '😄'][mood - 1]}</span>}
+            {hasReflection && <span className="reflection-indicator">📝</span>}
+            {slips > 0 && <span className="slip-indicator" title={`${slips} slip${slips === 1 ? '' : 's'}`}>⚠️</span>}
+            {pausedHabits > 0 && <span className="pause-indicator" title={`${pausedHabits} habit${pausedHabits === 1 ? '' : 's'} paused`}>⏸</span>}
+            {skippedHabits > 0 && <span className="skip-indicator" title={`${skippedHabits} habit${skippedHabits === 1 ? '' : 's'} skipped`}>⏭</span>}
+            {frozen && <span className="freeze-indicator" title="A streak freeze was used">🧊</span>}
           </div>
         </div>
+      );
+    }
+    
+    return days;
+  };
+
+  return (
+    <div className="calendar-view">
+      <div className="calendar-header">
+        <button onClick={prevMonth} className="nav-btn">←</button>
+        <h2>{selectedMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</h2>
+        <button onClick={nextMonth} className="nav-btn">→</button>
+      </div>
+      
+      <div className="calendar-grid">
+        <div className="weekday-header">Sun</div>
+        <div className="weekday-header">Mon</div>
+        <div className="weekday-header">Tue</div>
+        <div className="weekday-header">Wed</div>
+        <div className="weekday-header">Thu</div>
+        <div className="weekday-header">Fri</div>
+        <div className="weekday-header">Sat</div>
+        {renderCalendarDays()}
+      </div>
+      
+      <div className="legend">
+        <div className="legend-item">
+          <div className="legend-color" style={{ background: 'var(--accent)' }}></div>
+          <span>Habit completion progress</span>
+        </div>
+        <div className="legend-item">
+          <span>😄</span>
+          <span>Daily mood</span>
+        </div>
+        <div className="legend-item">
+          <span>📝</span>
+          <span>Has reflection</span>
+        </div>
+        {user.habits.some(h => Object.values(h.completions || {}).includes(SKIPPED)) && (
+          <div className="legend-item">
+            <span>⏭</span>
+            <span>Skipped</span>
+          </div>
+        )}
+        {frozenDays.size > 0 && (
+          <div className="legend-item">
+            <span>🧊</span>
+            <span>Streak freeze used</span>
+          </div>
+        )}
+        {user.habits.some(h => h.pauses?.length > 0) && (
+          <div className="legend-item">
+            <span>⏸</span>
+            <span>Paused</span>
+          </div>
+        )}
+        {user.habits.some(isAvoidHabit) && (
+          <div className="legend-item">
+            <span>⚠️</span>
+            <span>Slip logged</span>
+          </div>
+        )}
       </div>
-    </header>
+    </div>
   );
 }
 
-function Dashboard({ user, selectedDate, setSelectedDate, toggleHabitCompletion, setMood, setReflection, getDailyQuote, getBestHabit, onAddHabit, onEditHabit, onDeleteHabit }) {
-  const dateKey = getDateKey(selectedDate);
-  const currentMood = user.moods?.[dateKey];
-  const currentReflection = user.reflections?.[dateKey] || '';
-  const [reflectionText, setReflectionText] = useState(currentReflection);
-  const bestHabit = getBestHabit();
-  
-  const moods = [
-    { emoji: '😄', label: 'Amazing', value: 5 },
-    { emoji: '🙂', label: 'Good', value: 4 },
-    { emoji: '😐', label: 'Okay', value: 3 },
-    { emoji: '😕', label: 'Not Great', value: 2 },
-    { emoji: '😢', label: 'Difficult', value: 1 }
-  ];
+function AnalyticsView({ user, getHabitStats, getMonthlyData, getYearlyData, selectedHabit, setSelectedHabit }) {
+  const currentYear = new Date().getFullYear();
+  const currentMonth = new Date().getMonth();
+  const habitToAnalyze = selectedHabit || getActiveHabits(user)[0] || user.habits[0];
   
-  const todayHabits = user.habits.filter(habit => {
-    if (habit.frequency === 'daily') return true;
-    if (habit.frequency === 'weekly') {
-      const day = selectedDate.getDay();
-      return habit.selectedDays?.includes(day);
-    }
-    return true;
-  });
+  if (!habitToAnalyze) {
+    return (
+      <div className="analytics-empty">
+        <h2>No habits to analyze yet</h2>
+        <p>Create some habits to see your progress analytics!</p>
+      </div>
+    );
+  }
   
-  const completedToday = todayHabits.filter(h => h.completions?.[dateKey]).length;
-  const totalToday = todayHabits.length;
-  const completionPercentage = totalToday > 0 ? (completedToday / totalToday) * 100 : 0;
+  const stats = getHabitStats(habitToAnalyze);
+  const monthlyData = getMonthlyData(habitToAnalyze, currentMonth, currentYear);
+  const yearlyData = getYearlyData(habitToAnalyze, currentYear);
+  const isMeasured = isMeasuredHabit(habitToAnalyze);
+  const isDuration = isDurationHabit(habitToAnalyze);
+  const unitLabel = isDuration ? ' (minutes)' : habitToAnalyze.unit ? ` (${habitToAnalyze.unit})` : '';
+  const formatValue = (value) => formatAmount(habitToAnalyze, value);
+  const isAvoid = isAvoidHabit(habitToAnalyze);
+  const showsValues = isMeasured || isAvoid;
+  const streakSuffix = isQuotaHabit(habitToAnalyze) ? ` (${habitToAnalyze.quotaPeriod}s)` : '';
+  const relapses = isAvoid ? getRelapseHistory(habitToAnalyze) : [];
+
+  let dailyTitle = 'Monthly Progress';
+  let monthlyTitle = 'Yearly Overview';
+  if (isAvoid) {
+    dailyTitle = 'Slips per Day';
+    monthlyTitle = 'Slips per Month';
+  } else if (isDuration) {
+    dailyTitle = `Time per Day${unitLabel}`;
+    monthlyTitle = `Time per Month${unitLabel}`;
+  } else if (isMeasured) {
+    dailyTitle = `Daily Amounts${unitLabel}`;
+    monthlyTitle = `Monthly Totals${unitLabel}`;
+  }
 
   return (
-    <div className="dashboard">
-      <div className="quote-section">
-        <p className="quote">{getDailyQuote()}</p>
+    <div className="analytics-view">
+      <div className="analytics-header">
+        <div>
+          <h2>Analytics Dashboard</h2>
+          <p>Track your progress and identify patterns</p>
+        </div>
+        
+        <select value={habitToAnalyze.id} onChange={(e) => { const habit = user.habits.find(h => h.id === e.target.value); setSelectedHabit(habit); }} className="habit-select">
+          {user.habits.map(habit => (
+            <option key={habit.id} value={habit.id}>{habit.name}{isArchived(habit) ? ' (archived)' : ''}</option>
+          ))}
+        </select>
       </div>
       
-      <div className="stats-grid">
-        <div className="stat-card">
-          <div className="stat-icon">🎯</div>
-          <div className="stat-content">
-            <div className="stat-value">{completedToday}/{totalToday}</div>
-            <div className="stat-label">Today's Progress</div>
+      <div className="stats-overview">
+        <div className="stat-box">
+          <div className="stat-icon">✅</div>
+          <div className="stat-info">
+            <div className="stat-number">{stats.totalCompletions}</div>
+            <div className="stat-text">{isAvoid ? 'Clean Days' : isMeasured ? 'Days Target Met' : 'Total Completions'}</div>
           </div>
-          <div className="progress-ring">
-            <svg width="80" height="80">
-              <circle cx="40" cy="40" r="36" fill="none" stroke="var(--border)" strokeWidth="6" />
-              <circle cx="40" cy="40" r="36" fill="none" stroke="var(--accent)" strokeWidth="6" strokeDasharray={`${2 * Math.PI * 36}`} strokeDashoffset={`${2 * Math.PI * 36 * (1 - completionPercentage / 100)}`} transform="rotate(-90 40 40)" className="progress-circle" />
-            </svg>
+        </div>
+        
+        {isAvoid && (
+          <div className="stat-box">
+            <div className="stat-icon">⚠️</div>
+            <div className="stat-info">
+              <div className="stat-number">{stats.totalSlips}</div>
+              <div className="stat-text">Total Slips</div>
+            </div>
+          </div>
+        )}
+        
+        {isMeasured && (
+          <div className="stat-box">
+            <div className="stat-icon">🔢</div>
+            <div className="stat-info">
+              <div className="stat-number">{formatAmount(habitToAnalyze, stats.totalAmount)}</div>
+              <div className="stat-text">Total Logged</div>
+            </div>
+          </div>
+        )}
+        
+        <div className="stat-box">
+          <div className="stat-icon">📊</div>
+          <div className="stat-info">
+            <div className="stat-number">{stats.completionRate}%</div>
+            <div className="stat-text">{isAvoid ? 'Clean Rate' : 'Completion Rate'}</div>
           </div>
         </div>
         
-        <div className="stat-card">
+        <div className="stat-box">
           <div className="stat-icon">🔥</div>
-          <div className="stat-content">
-            <div className="stat-value">{user.habits.reduce((max, h) => Math.max(max, h.currentStreak || 0), 0)}</div>
-            <div className="stat-label">Longest Active Streak</div>
+          <div className="stat-info">
+            <div className="stat-number">{stats.currentStreak}</div>
+            <div className="stat-text">{isAvoid ? 'Current Clean Run' : `Current Streak${streakSuffix}`}</div>
           </div>
         </div>
         
-        <div className="stat-card">
-          <div className="stat-icon">⭐</div>
-          <div className="stat-content">
-            <div className="stat-value">{user.habits.length}</div>
-            <div className="stat-label">Active Habits</div>
+        <div className="stat-box">
+          <div className="stat-icon">🏆</div>
+          <div className="stat-info">
+            <div className="stat-number">{stats.longestStreak}</div>
+            <div className="stat-text">{isAvoid ? 'Longest Clean Run' : `Longest Streak${streakSuffix}`}</div>
           </div>
         </div>
+      </div>
+      
+      <div className="charts-grid">
+        <div className="chart-container">
+          <h3>{dailyTitle}</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <AreaChart data={monthlyData}>
+              <defs>
+                <linearGradient id="colorCompleted" x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor="var(--accent)" stopOpacity={0.8}/>
+                  <stop offset="95%" stopColor="var(--accent)" stopOpacity={0}/>
+                </linearGradient>
+              </defs>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="day" stroke="var(--text-secondary)" />
+              <YAxis stroke="var(--text-secondary)" />
+              <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '2px solid var(--border)', borderRadius: '8px', color: 'var(--text)' }} formatter={isMeasured ? formatValue : undefined} />
+              {isMeasured && <ReferenceLine y={habitToAnalyze.target} stroke="var(--success)" strokeDasharray="6 4" label={{ value: 'Target', fill: 'var(--text-secondary)', position: 'insideTopRight' }} />}
+              <Area type="monotone" dataKey={showsValues ? 'value' : 'completed'} name={isAvoid ? 'Slips' : isDuration ? 'Time' : isMeasured ? habitToAnalyze.unit || 'Amount' : undefined} stroke="var(--accent)" fillOpacity={1} fill="url(#colorCompleted)" />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
         
-        {bestHabit && (
-          <div className="stat-card best-habit">
-            <div className="stat-icon">🏆</div>
-            <div className="stat-content">
-              <div className="stat-value">{bestHabit.name}</div>
-              <div className="stat-label">Best Habit - {bestHabit.currentStreak} day streak!</div>
-            </div>
-          </div>
-        )}
+        <div className="chart-container">
+          <h3>{monthlyTitle}</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={yearlyData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="month" stroke="var(--text-secondary)" />
+              <YAxis stroke="var(--text-secondary)" />
+              <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '2px solid var(--border)', borderRadius: '8px', color: 'var(--text)' }} formatter={isMeasured ? formatValue : undefined} />
+              <Bar dataKey={showsValues ? 'total' : 'completionRate'} name={isAvoid ? 'Slips' : isMeasured ? 'Total' : undefined} fill="var(--accent)" radius={[8, 8, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
       </div>
       
-      <div className="dashboard-grid">
-        <div className="habits-section">
-          <div className="section-header">
-            <h2>Today's Habits</h2>
-            <button className="add-btn" onClick={onAddHabit}>+ Add Habit</button>
+      {isAvoid && (
+        <div className="chart-container">
+          <h3>Relapse History</h3>
+          {relapses.length === 0 ? (
+            <p className="settings-hint">No slips logged since {parseDateKey(getCleanStart(habitToAnalyze)).toLocaleDateString()}. Keep going!</p>
+          ) : (
+            <ul className="relapse-list">
+              {relapses.map(entry => (
+                <li key={entry.date}>
+                  <span className="relapse-date">{parseDateKey(entry.date).toLocaleDateString()}</span>
+                  <span>{entry.count === 1 ? '1 slip' : `${entry.count} slips`}</span>
+                  <span className="relapse-run">after {entry.cleanDaysBefore} clean day{entry.cleanDaysBefore === 1 ? '' : 's'}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PauseModal({ habit, habits, onPause, onEndPause, onClose }) {
+  const today = getDateKey(new Date());
+  const [from, setFrom] = useState(today);
+  const [to, setTo] = useState(addDaysToKey(today, 6));
+  const current = habit ? (habit.pauses || []).filter(p => p.to >= today).sort((a, b) => a.from.localeCompare(b.from)) : [];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (to < from) return;
+    onPause((habit ? [habit] : habits).map(h => h.id), from, to);
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{habit ? `Pause "${habit.name}"` : 'Pause All Habits'}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="modal-form">
+          <p className="settings-hint">
+            Paused days don't count against streaks or completion rates.
+            {!habit && ` This pauses ${habits.length} habits; habits you are breaking keep counting clean days.`}
+          </p>
+          
+          <div className="form-row">
+            <div className="form-field">
+              <label>From</label>
+              <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} required />
+            </div>
+            <div className="form-field">
+              <label>Until (inclusive)</label>
+              <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} required />
+            </div>
           </div>
           
-          {todayHabits.length === 0 ? (
-            <div className="empty-state">
-              <p>No habits yet! Start building your routine.</p>
-              <button className="cta-btn" onClick={onAddHabit}>Create Your First Habit</button>
+          {current.length > 0 && (
+            <div className="form-field">
+              <label>Current and upcoming pauses</label>
+              <div className="pause-list">
+                {current.map(pause => (
+                  <div key={`${pause.from}:${pause.to}`} className="pause-item">
+                    <span>{formatPause(pause)}</span>
+                    <button type="button" className="cancel-btn" onClick={() => onEndPause(habit.id, pause)}>
+                      {pause.from < today ? 'Resume now' : 'Cancel pause'}
+                    </button>
+                  </div>
+                ))}
+              </div>
             </div>
+          )}
+          
+          <div className="modal-actions">
+            <button type="button" className="cancel-btn" onClick={onClose}>Cancel</button>
+            <button type="submit" className="save-btn">Pause</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function HabitsManager({ user, onAddHabit, onEditHabit, onArchiveHabit, onRestoreHabit, onDeleteHabit, onPauseHabits, onEndPause, getHabitStats }) {
+  const activeHabits = getActiveHabits(user);
+  const archivedHabits = user.habits.filter(isArchived);
+  const pausableHabits = activeHabits.filter(habit => !isAvoidHabit(habit));
+  // 'all', a habit id, or null when the pause dialog is closed.
+  const [pauseTarget, setPauseTarget] = useState(null);
+  const today = getDateKey(new Date());
+
+  return (
+    <div className="habits-manager">
+      <div className="manager-header">
+        <div>
+          <h2>Manage Your Habits</h2>
+          <p>Edit, organize, and track all your habits</p>
+        </div>
+        <div className="manager-actions">
+          {activeHabits.some(isCalendarExportable) && (
+            <button className="calendar-export-btn" onClick={() => downloadICS(activeHabits, 'momentum-habits')} title="Download an .ics file for your calendar app">📅 Export to Calendar</button>
+          )}
+          {pausableHabits.length > 1 && (
+            <button className="calendar-export-btn" onClick={() => setPauseTarget('all')} title="Pause every habit for a holiday or break">⏸ Pause All</button>
+          )}
+          <button className="add-habit-btn" onClick={onAddHabit}>+ Add New Habit</button>
+        </div>
+      </div>
+      
+      {activeHabits.length === 0 ? (
+        <div className="empty-habits">
+          <div className="empty-icon">📋</div>
+          {archivedHabits.length > 0 ? (
+            <>
+              <h3>No active habits</h3>
+              <p>All your habits are archived. Restore one from the Archived list below, or start something new.</p>
+              <button className="create-first-btn" onClick={onAddHabit}>Create a Habit</button>
+            </>
           ) : (
-            <div className="habits-list">
-              {todayHabits.map(habit => (
-                <HabitCard
-                  key={habit.id}
-                  habit={habit}
-                  date={selectedDate}
-                  onToggle={() => toggleHabitCompletion(habit.id, selectedDate)}
-                  onEdit={() => onEditHabit(habit)}
-                  onDelete={() => onDeleteHabit(habit.id)}
-                />
-              ))}
-            </div>
+            <>
+              <h3>No habits yet</h3>
+              <p>Start building better habits today!</p>
+              <button className="create-first-btn" onClick={onAddHabit}>Create Your First Habit</button>
+            </>
           )}
         </div>
-        
-        <div className="mood-reflection-section">
-          <div className="mood-tracker">
-            <h3>How are you feeling today?</h3>
-            <div className="mood-options">
-              {moods.map(mood => (
-                <button key={mood.value} className={`mood-btn ${currentMood === mood.value ? 'selected' : ''}`} onClick={() => setMood(selectedDate, mood.value)} title={mood.label}>
-                  <span className="mood-emoji">{mood.emoji}</span>
-                  <span className="mood-label">{mood.label}</span>
-                </button>
-              ))}
-            </div>
-          </div>
-          
-          <div className="reflection-section">
-            <h3>Daily Reflection</h3>
-            <textarea
-              value={reflectionText}
-              onChange={(e) => setReflectionText(e.target.value)}
-              onBlur={() => setReflection(selectedDate, reflectionText)}
-              placeholder="How was your day? What did you learn?"
-              className="reflection-input"
-            />
+      ) : (
+        <div className="habits-grid">
+          {activeHabits.map(habit => {
+            const stats = getHabitStats(habit);
+            const pause = getActivePause(habit, today);
+            return (
+              <div key={habit.id} className="habit-detail-card">
+                <div className="habit-detail-header">
+                  <h3>{habit.name}</h3>
+                  <div className="habit-actions-menu">
+                    {isCalendarExportable(habit) && (
+                      <button onClick={() => downloadICS([habit], toFileSlug(habit.name))} className="calendar-icon" title="Add to calendar">📅</button>
+                    )}
+                    {!isAvoidHabit(habit) && (
+                      <button onClick={() => setPauseTarget(habit.id)} className="pause-icon" title="Pause">⏸</button>
+                    )}
+                    <button onClick={() => onEditHabit(habit)} className="edit-icon">✏️</button>
+                    <button onClick={() => onArchiveHabit(habit.id)} className="archive-icon" title="Archive">🗄️</button>
+                  </div>
+                </div>
+                
+                {habit.description && <p className="habit-description">{habit.description}</p>}
+                
+                <div className="habit-meta-info">
+                  <span className="meta-badge">{describeFrequency(habit)}</span>
+                  <span className="meta-badge difficulty">{habit.difficulty || 'medium'}</span>
+                  {isMeasuredHabit(habit) && <span className="meta-badge">🎯 {formatAmount(habit, habit.target)} a day</span>}
+                  {habit.reminderTime && <span className="meta-badge">⏰ {habit.reminderTime}</span>}
+                  {habit.streakFreezes > 0 && <span className="meta-badge">🧊 {habit.streakFreezes} a month</span>}
+                  {pause && (
+                    <span className="meta-badge paused">⏸ {pause.from <= today ? `Paused until ${parseDateKey(pause.to).toLocaleDateString()}` : `Pausing ${formatPause(pause)}`}</span>
+                  )}
+                </div>
+                
+                <div className="habit-stats-grid">
+                  <div className="mini-stat">
+                    <div className="mini-stat-value">{stats.totalCompletions}</div>
+                    <div className="mini-stat-label">Completions</div>
+                  </div>
+                  <div className="mini-stat">
+                    <div className="mini-stat-value">{stats.completionRate}%</div>
+                    <div className="mini-stat-label">Success Rate</div>
+                  </div>
+                  <div className="mini-stat">
+                    <div className="mini-stat-value">{stats.currentStreak}</div>
+                    <div className="mini-stat-label">Current Streak</div>
+                  </div>
+                  <div className="mini-stat">
+                    <div className="mini-stat-value">{stats.longestStreak}</div>
+                    <div className="mini-stat-label">Best Streak</div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      
+      {archivedHabits.length > 0 && (
+        <div className="archived-section">
+          <h3>Archived</h3>
+          <p>Archived habits are hidden from your dashboard and calendar. Their history is kept and still shows up in Analytics.</p>
+          <div className="archived-list">
+            {archivedHabits.map(habit => (
+              <div key={habit.id} className="archived-habit">
+                <div className="archived-habit-info">
+                  <h4>{habit.name}</h4>
+                  <span>
+                    Archived {new Date(habit.archivedAt).toLocaleDateString()} · {getHabitStats(habit).totalCompletions} completions · best streak {habit.longestStreak || 0}
+                  </span>
+                </div>
+                <div className="archived-habit-actions">
+                  <button className="restore-btn" onClick={() => onRestoreHabit(habit.id)}>Restore</button>
+                  <button className="purge-btn" onClick={() => { if (confirm(`Permanently delete "${habit.name}" and all of its history?`)) onDeleteHabit(habit.id); }}>Delete permanently</button>
+                </div>
+              </div>
+            ))}
           </div>
         </div>
-      </div>
+      )}
+      
+      {pauseTarget && (
+        <PauseModal
+          habit={pauseTarget === 'all' ? null : activeHabits.find(h => h.id === pauseTarget)}
+          habits={pausableHabits}
+          onPause={onPauseHabits}
+          onEndPause={onEndPause}
+          onClose={() => setPauseTarget(null)}
+        />
+      )}
     </div>
   );
 }
 
-function HabitCard({ habit, date, onToggle, onEdit, onDelete }) {
-  const dateKey = getDateKey(date);
-  const isCompleted = habit.completions?.[dateKey];
-  const [showMenu, setShowMenu] = useState(false);
-
+function SettingsView({
+  user, onImportBackup, onImportHistory, saveError, onPruneReflections, onCompactCompletions,
+  syncConfig, syncStatus, onConnectSync, onDisconnectSync, onSyncNow,
+  onUpdateAccount, onChangePassword, onRegenerateRecoveryCodes, onDeleteAccount,
+  onSetPin, onRemovePin, onUpdateLockTimeout, onLock
+}) {
   return (
-    <div className={`habit-card ${isCompleted ? 'completed' : ''}`}>
-      <div className="habit-main" onClick={onToggle}>
-        <div className="habit-checkbox">
-          {isCompleted && <span className="checkmark">✓</span>}
-        </div>
-        
-        <div className="habit-info">
-          <h4 className="habit-name">{habit.name}</h4>
-          <div className="habit-meta">
-            <span className="habit-frequency">{habit.frequency === 'daily' ? 'Daily' : 'Weekly'}</span>
-            {habit.currentStreak > 0 && (
-              <span className="habit-streak">🔥 {habit.currentStreak} day streak</span>
-            )}
-          </div>
+    <div className="settings-view">
+      <div className="manager-header">
+        <div>
+          <h2>Settings</h2>
+          <p>Manage your data and account</p>
         </div>
       </div>
       
-      <div className="habit-actions">
-        <button className="menu-btn" onClick={() => setShowMenu(!showMenu)}>⋯</button>
-        {showMenu && (
-          <div className="habit-menu">
-            <button onClick={() => { onEdit(); setShowMenu(false); }}>Edit</button>
-            <button onClick={() => { if (confirm('Delete this habit?')) onDelete(); setShowMenu(false); }} className="delete-btn">Delete</button>
-          </div>
-        )}
-      </div>
+      <AccountSection user={user} onUpdate={onUpdateAccount} onChangePassword={onChangePassword} />
+      <RecoveryCodesSection user={user} onRegenerate={onRegenerateRecoveryCodes} />
+      <SecuritySection
+        user={user}
+        onSetPin={onSetPin}
+        onRemovePin={onRemovePin}
+        onUpdateLockTimeout={onUpdateLockTimeout}
+        onLock={onLock}
+      />
+      <SyncSection
+        user={user}
+        config={syncConfig}
+        status={syncStatus}
+        onConnect={onConnectSync}
+        onDisconnect={onDisconnectSync}
+        onSyncNow={onSyncNow}
+      />
+      <BackupSection user={user} onImport={onImportBackup} />
+      <CsvExportSection user={user} />
+      <HistoryImportSection user={user} onImport={onImportHistory} />
+      <StorageSection
+        user={user}
+        saveError={saveError}
+        onPruneReflections={onPruneReflections}
+        onCompactCompletions={onCompactCompletions}
+      />
+      <DeleteAccountSection syncing={Boolean(syncConfig)} onDelete={onDeleteAccount} />
     </div>
   );
 }
 
-function HabitModal({ habit, onClose, onSave, theme }) {
-  const [formData, setFormData] = useState({
-    name: habit?.name || '',
-    description: habit?.description || '',
-    frequency: habit?.frequency || 'daily',
-    selectedDays: habit?.selectedDays || [],
-    difficulty: habit?.difficulty || 'medium'
-  });
-  
-  const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  
-  const handleSubmit = (e) => {
+function AccountSection({ user, onUpdate, onChangePassword }) {
+  const [profile, setProfile] = useState({ name: user.name, email: user.email, currentPassword: '' });
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setProfile(p => ({ ...p, name: user.name, email: user.email }));
+  }, [user.name, user.email]);
+
+  const emailChanged = normalizeEmail(profile.email) !== normalizeEmail(user.email);
+
+  const run = async (action, successText, reset) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      reset();
+      setMessage({ type: 'success', text: successText });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveProfile = (e) => {
     e.preventDefault();
-    if (!formData.name.trim()) return;
-    onSave(formData);
+    run(() => onUpdate(profile), 'Account details saved.', () => setProfile(p => ({ ...p, currentPassword: '' })));
   };
-  
-  const toggleDay = (day) => {
-    const days = formData.selectedDays.includes(day)
-      ? formData.selectedDays.filter(d => d !== day)
-      : [...formData.selectedDays, day];
-    setFormData({ ...formData, selectedDays: days });
+
+  const savePassword = (e) => {
+    e.preventDefault();
+    if (passwords.next !== passwords.confirm) {
+      setMessage({ type: 'error', text: 'The new passwords do not match' });
+      return;
+    }
+    run(() => onChangePassword(passwords.current, passwords.next), 'Password changed.', () => setPasswords({ current: '', next: '', confirm: '' }));
   };
 
   return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-        <div className="modal-header">
-          <h2>{habit ? 'Edit Habit' : 'Create New Habit'}</h2>
-          <button className="close-btn" onClick={onClose}>×</button>
-        </div>
-        
-        <form onSubmit={handleSubmit} className="modal-form">
+    <div className="settings-section">
+      <h3>Account</h3>
+
+      <form className="account-form" onSubmit={saveProfile}>
+        <div className="account-grid">
           <div className="form-field">
-            <label>Habit Name</label>
-            <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} placeholder="e.g., Morning meditation" required />
+            <label>Name</label>
+            <input type="text" value={profile.name} onChange={(e) => setProfile({ ...profile, name: e.target.value })} required autoComplete="name" />
           </div>
-          
           <div className="form-field">
-            <label>Description (optional)</label>
-            <textarea value={formData.description} onChange={(e) => setFormData({ ...formData, description: e.target.value })} placeholder="What does this habit mean to you?" rows="3" />
+            <label>Email</label>
+            <input type="email" value={profile.email} onChange={(e) => setProfile({ ...profile, email: e.target.value })} required autoComplete="email" />
           </div>
-          
+        </div>
+        {emailChanged && (
           <div className="form-field">
-            <label>Frequency</label>
-            <select value={formData.frequency} onChange={(e) => setFormData({ ...formData, frequency: e.target.value })}>
-              <option value="daily">Daily</option>
-              <option value="weekly">Specific Days</option>
-            </select>
+            <label>Current password</label>
+            <input type="password" value={profile.currentPassword} onChange={(e) => setProfile({ ...profile, currentPassword: e.target.value })} required autoComplete="current-password" />
           </div>
-          
-          {formData.frequency === 'weekly' && (
-            <div className="form-field">
-              <label>Select Days</label>
-              <div className="day-selector">
-                {weekDays.map((day, index) => (
-                  <button key={day} type="button" className={`day-btn ${formData.selectedDays.includes(index) ? 'selected' : ''}`} onClick={() => toggleDay(index)}>
-                    {day}
-                  </button>
-                ))}
-              </div>
-            </div>
-          )}
-          
+        )}
+        <div className="settings-actions">
+          <button className="add-btn" type="submit" disabled={busy}>Save details</button>
+        </div>
+      </form>
+
+      <form className="account-form" onSubmit={savePassword}>
+        <h4>Change password</h4>
+        <div className="form-field">
+          <label>Current password</label>
+          <input type="password" value={passwords.current} onChange={(e) => setPasswords({ ...passwords, current: e.target.value })} required autoComplete="current-password" />
+        </div>
+        <div className="account-grid">
           <div className="form-field">
-            <label>Difficulty</label>
-            <select value={formData.difficulty} onChange={(e) => setFormData({ ...formData, difficulty: e.target.value })}>
-              <option value="easy">Easy</option>
-              <option value="medium">Medium</option>
-              <option value="hard">Hard</option>
-            </select>
+            <label>New password</label>
+            <input type="password" value={passwords.next} onChange={(e) => setPasswords({ ...passwords, next: e.target.value })} required autoComplete="new-password" />
           </div>
-          
-          <div className="modal-actions">
-            <button type="button" className="cancel-btn" onClick={onClose}>Cancel</button>
-            <button type="submit" className="save-btn">{habit ? 'Save Changes' : 'Create Habit'}</button>
+          <div className="form-field">
+            <label>Confirm new password</label>
+            <input type="password" value={passwords.confirm} onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })} required autoComplete="new-password" />
           </div>
-        </form>
+        </div>
+        <div className="settings-actions">
+          <button className="add-btn" type="submit" disabled={busy}>Change password</button>
+        </div>
+      </form>
+
+      {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+}
+
+function RecoveryCodesSection({ user, onRegenerate }) {
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const remaining = user.recovery?.codes.length || 0;
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    if (remaining > 0 && !confirm('Generate new recovery codes? Your current codes will stop working.')) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await onRegenerate(password);
+      setPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="settings-section" onSubmit={handleRegenerate}>
+      <h3>Recovery Codes</h3>
+      <p className="settings-hint">
+        {remaining > 0
+          ? `You have ${remaining} unused recovery ${remaining === 1 ? 'code' : 'codes'}. Each one can be used once to reset a forgotten password.`
+          : 'You have no recovery codes. Without one, a forgotten password means your data cannot be recovered.'}
+      </p>
+      <div className="form-field">
+        <label>Current password</label>
+        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required autoComplete="current-password" />
+      </div>
+      <div className="settings-actions">
+        <button className="add-btn" type="submit" disabled={busy}>{busy ? 'Generating…' : 'Generate new codes'}</button>
+      </div>
+      {error && <div className="settings-message error">{error}</div>}
+    </form>
+  );
+}
+
+function SecuritySection({ user, onSetPin, onRemovePin, onUpdateLockTimeout, onLock }) {
+  const [form, setForm] = useState({ pin: '', confirm: '', password: '' });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const hasPin = Boolean(user.security?.pin);
+
+  const savePin = async (e) => {
+    e.preventDefault();
+    if (form.pin !== form.confirm) {
+      setMessage({ type: 'error', text: 'The PINs do not match' });
+      return;
+    }
+    setBusy(true);
+    setMessage(null);
+    try {
+      await onSetPin(form.pin, form.password);
+      setForm({ pin: '', confirm: '', password: '' });
+      setMessage({ type: 'success', text: hasPin ? 'PIN changed.' : 'PIN set.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const removePin = () => {
+    if (!confirm('Remove your PIN? Unlocking will need your password.')) return;
+    onRemovePin();
+    setMessage({ type: 'success', text: 'PIN removed.' });
+  };
+
+  const pinInput = (field, label) => (
+    <div className="form-field">
+      <label>{label}</label>
+      <input type="password" inputMode="numeric" pattern="\d{4,6}" maxLength={6} value={form[field]} onChange={(e) => setForm({ ...form, [field]: e.target.value.replace(/\D/g, '') })} required autoComplete="off" />
+    </div>
+  );
+
+  return (
+    <div className="settings-section">
+      <h3>Auto-Lock</h3>
+      <p className="settings-hint">
+        Lock Momentum when nobody has used it for a while, including while this tab is in the background.
+        Locking hides your data on screen; sign out to remove it from this device's memory.
+      </p>
+      <div className="form-field">
+        <label>Lock automatically</label>
+        <select value={user.security?.lockTimeout || 0} onChange={(e) => onUpdateLockTimeout(Number(e.target.value))}>
+          {LOCK_TIMEOUT_OPTIONS.map(option => <option key={option.minutes} value={option.minutes}>{option.label}</option>)}
+        </select>
       </div>
+
+      <form className="account-form" onSubmit={savePin}>
+        <h4>{hasPin ? 'Change PIN' : 'Set a PIN'}</h4>
+        <p className="settings-hint">
+          A 4–6 digit PIN unlocks faster than your password. After {MAX_PIN_ATTEMPTS} wrong PINs your password is needed.
+        </p>
+        <div className="account-grid">
+          {pinInput('pin', 'New PIN')}
+          {pinInput('confirm', 'Confirm PIN')}
+        </div>
+        <div className="form-field">
+          <label>Current password</label>
+          <input type="password" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required autoComplete="current-password" />
+        </div>
+        <div className="settings-actions">
+          <button className="add-btn" type="submit" disabled={busy}>{hasPin ? 'Change PIN' : 'Set PIN'}</button>
+          {hasPin && <button className="cancel-btn" type="button" onClick={removePin}>Remove PIN</button>}
+          <button className="cancel-btn" type="button" onClick={onLock}>Lock now</button>
+        </div>
+      </form>
+
+      {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
     </div>
   );
 }
 
-function CalendarView({ user, selectedMonth, setSelectedMonth, selectedDate, setSelectedDate }) {
-  const year = selectedMonth.getFullYear();
-  const month = selectedMonth.getMonth();
-  const firstDay = new Date(year, month, 1).getDay();
-  const daysInMonth = new Date(year, month + 1, 0).getDate();
-  
-  const prevMonth = () => setSelectedMonth(new Date(year, month - 1, 1));
-  const nextMonth = () => setSelectedMonth(new Date(year, month + 1, 1));
-  
-  const getDayData = (day) => {
-    const date = new Date(year, month, day);
-    const dateKey = getDateKey(date);
-    const completedHabits = user.habits.filter(h => h.completions?.[dateKey]).length;
-    const totalHabits = user.habits.length;
-    const mood = user.moods?.[dateKey];
-    const hasReflection = user.reflections?.[dateKey];
-    return { completedHabits, totalHabits, mood, hasReflection };
+function RecoveryCodesModal({ codes, email, onClose }) {
+  const [saved, setSaved] = useState(false);
+  const text = `Momentum recovery codes for ${email}\nEach code can be used once.\n\n${codes.join('\n')}\n`;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Save Your Recovery Codes</h2>
+        </div>
+        <p className="settings-hint">
+          Your data is encrypted with your password. If you forget it, one of these codes is the only way back in.
+          Each code works once. They will not be shown again.
+        </p>
+        <ol className="recovery-codes">
+          {codes.map(code => <li key={code}><code>{code}</code></li>)}
+        </ol>
+        <div className="settings-actions">
+          <button className="cancel-btn" onClick={() => { downloadFile('momentum-recovery-codes.txt', text, 'text/plain'); setSaved(true); }}>Download</button>
+          <button className="cancel-btn" onClick={() => navigator.clipboard?.writeText(text).then(() => setSaved(true))}>Copy</button>
+        </div>
+        <label className="account-checkbox">
+          <input type="checkbox" checked={saved} onChange={(e) => setSaved(e.target.checked)} />
+          I have saved these codes somewhere safe
+        </label>
+        <div className="modal-actions">
+          <button className="save-btn" onClick={onClose} disabled={!saved}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DeleteAccountSection({ syncing, onDelete }) {
+  const [password, setPassword] = useState('');
+  const [deleteServerCopy, setDeleteServerCopy] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!confirm('Delete your account and all of its habits, moods and reflections? This cannot be undone.')) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await onDelete(password, syncing && deleteServerCopy);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
   };
-  
-  const renderCalendarDays = () => {
-    const days = [];
-    
-    for (let i = 0; i < firstDay; i++) {
-      days.push(<div key={`empty-${i}`} className="calendar-day empty"></div>);
+
+  return (
+    <form className="settings-section danger-zone" onSubmit={handleDelete}>
+      <h3>Delete Account</h3>
+      <p className="settings-hint">Removes your account and everything in it from this browser. Download a backup first if you may want it back.</p>
+      <div className="form-field">
+        <label>Password</label>
+        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required autoComplete="current-password" />
+      </div>
+      {syncing && (
+        <label className="account-checkbox">
+          <input type="checkbox" checked={deleteServerCopy} onChange={(e) => setDeleteServerCopy(e.target.checked)} />
+          Also delete the synced copy from the sync server
+        </label>
+      )}
+      <div className="settings-actions">
+        <button className="purge-btn" type="submit" disabled={busy}>Delete my account</button>
+      </div>
+      {error && <div className="settings-message error">{error}</div>}
+    </form>
+  );
+}
+
+const describeSyncStatus = (status, pending) => {
+  if (status.state === 'syncing') return 'Syncing…';
+  if (status.state === 'offline') return `Offline. ${pending} ${pending === 1 ? 'change' : 'changes'} will sync when the server is reachable.`;
+  if (status.state === 'error') return status.message;
+  if (pending > 0) return `${pending} ${pending === 1 ? 'change' : 'changes'} waiting to sync.`;
+  if (status.state === 'synced') return `Up to date as of ${new Date(status.at).toLocaleTimeString()}.`;
+  return 'Waiting to sync.';
+};
+
+function SyncSection({ user, config, status, onConnect, onDisconnect, onSyncNow }) {
+  const [form, setForm] = useState({ url: '', key: '' });
+  const [busy, setBusy] = useState(false);
+  const [showKey, setShowKey] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const run = async (action, successText) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      if (successText) setMessage({ type: 'success', text: successText });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusy(false);
     }
-    
-    for (let day = 1; day <= daysInMonth; day++) {
-      const { completedHabits, totalHabits, mood, hasReflection } = getDayData(day);
-      const date = new Date(year, month, day);
-      const isToday = getDateKey(date) === getDateKey(new Date());
-      const isSelected = getDateKey(date) === getDateKey(selectedDate);
-      const completionRate = totalHabits > 0 ? (completedHabits / totalHabits) * 100 : 0;
-      
-      days.push(
-        <div key={day} className={`calendar-day ${isToday ? 'today' : ''} ${isSelected ? 'selected' : ''}`} onClick={() => setSelectedDate(date)}>
-          <div className="day-number">{day}</div>
-          {totalHabits > 0 && <div className="day-progress" style={{ width: `${completionRate}%` }}></div>}
-          <div className="day-indicators">
-            {mood && <span className="mood-indicator">{['😢', '😕', '😐', '🙂', '😄'][mood - 1]}</span>}
-            {hasReflection && <span className="reflection-indicator">📝</span>}
+  };
+
+  const connect = (e) => {
+    e.preventDefault();
+    run(() => onConnect(form.url, form.key), null);
+  };
+
+  const disconnect = (deleteServerCopy) => {
+    if (deleteServerCopy && !confirm('Delete the synced copy from the server? Other devices will stop syncing.')) return;
+    run(() => onDisconnect(deleteServerCopy), 'Sync turned off on this device.');
+  };
+
+  if (!config) {
+    return (
+      <div className="settings-section">
+        <h3>Sync</h3>
+        <p className="settings-hint">
+          Keep your data in step across devices through a server you run yourself (<code>npm run sync-server</code>).
+          Data is encrypted before it leaves this device. Leave the sync key empty to start syncing, or paste the key
+          shown on another device to join it.
+        </p>
+        <form className="sync-form" onSubmit={connect}>
+          <div className="form-field">
+            <label>Server URL</label>
+            <input type="url" value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} placeholder="http://localhost:8787" required />
+          </div>
+          <div className="form-field">
+            <label>Sync key</label>
+            <input type="text" value={form.key} onChange={(e) => setForm({ ...form, key: e.target.value })} placeholder="Leave empty to create one" autoComplete="off" />
+          </div>
+          <div className="settings-actions">
+            <button className="add-btn" type="submit" disabled={busy}>{busy ? 'Connecting…' : 'Turn on sync'}</button>
           </div>
+        </form>
+        {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Sync</h3>
+      <p className="settings-hint">Syncing with <code>{config.url}</code>.</p>
+      <div className={`sync-status sync-status--${status.state}`}>{describeSyncStatus(status, countPendingChanges(user, config.lastSyncedAt))}</div>
+      <div className="form-field">
+        <label>Sync key</label>
+        <div className="sync-key">
+          <code>{showKey ? config.key : '•'.repeat(24)}</code>
+          <button type="button" className="cancel-btn" onClick={() => setShowKey(!showKey)}>{showKey ? 'Hide' : 'Show'}</button>
         </div>
-      );
+        <p className="settings-hint">Enter this key with the server URL on another device to sync it. Anyone with the key can download your encrypted data, so keep it private.</p>
+      </div>
+      <div className="settings-actions">
+        <button className="add-btn" onClick={onSyncNow} disabled={busy || status.state === 'syncing'}>Sync now</button>
+        <button className="cancel-btn" onClick={() => disconnect(false)} disabled={busy}>Turn off</button>
+        <button className="cancel-btn" onClick={() => disconnect(true)} disabled={busy}>Turn off and delete server copy</button>
+      </div>
+      {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+}
+
+function BackupSection({ user, onImport }) {
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const exportBackup = () => {
+    const backup = buildBackup(user);
+    downloadFile(`momentum-backup-${getDateKey(new Date())}.json`, JSON.stringify(backup, null, 2));
+    setMessage({ type: 'success', text: 'Backup downloaded.' });
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setMessage(null);
+    try {
+      setPreview(parseBackup(await file.text()));
+      setMode('merge');
+    } catch (error) {
+      setPreview(null);
+      setMessage({ type: 'error', text: error.message });
     }
-    
-    return days;
   };
 
+  const confirmImport = () => {
+    if (mode === 'replace' && !confirm('Replace all of your habits, moods and reflections with this backup?')) return;
+    onImport(preview.user, mode);
+    setPreview(null);
+    setMessage({ type: 'success', text: mode === 'replace' ? 'Your data was replaced with the backup.' : 'The backup was merged into your data.' });
+  };
+
+  const existingIds = new Set(user.habits.map(h => h.id));
+  const duplicateCount = preview ? preview.user.habits.filter(h => existingIds.has(h.id)).length : 0;
+  const completionCount = preview ? preview.user.habits.reduce((sum, h) => sum + Object.keys(h.completions).length, 0) : 0;
+
   return (
-    <div className="calendar-view">
-      <div className="calendar-header">
-        <button onClick={prevMonth} className="nav-btn">←</button>
-        <h2>{selectedMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</h2>
-        <button onClick={nextMonth} className="nav-btn">→</button>
-      </div>
+    <div className="settings-section">
+      <h3>Backup &amp; Restore</h3>
+      <p className="settings-hint">Download everything in your account — habits, completions, streaks, moods and reflections — as a JSON file, or restore from one.</p>
       
-      <div className="calendar-grid">
-        <div className="weekday-header">Sun</div>
-        <div className="weekday-header">Mon</div>
-        <div className="weekday-header">Tue</div>
-        <div className="weekday-header">Wed</div>
-        <div className="weekday-header">Thu</div>
-        <div className="weekday-header">Fri</div>
-        <div className="weekday-header">Sat</div>
-        {renderCalendarDays()}
+      <div className="settings-actions">
+        <button className="add-btn" onClick={exportBackup}>Export backup</button>
+        <button className="cancel-btn" onClick={() => fileInputRef.current.click()}>Import backup…</button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} hidden />
       </div>
       
-      <div className="legend">
-        <div className="legend-item">
-          <div className="legend-color" style={{ background: 'var(--accent)' }}></div>
-          <span>Habit completion progress</span>
-        </div>
-        <div className="legend-item">
-          <span>😄</span>
-          <span>Daily mood</span>
-        </div>
-        <div className="legend-item">
-          <span>📝</span>
-          <span>Has reflection</span>
+      {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
+      
+      {preview && (
+        <div className="import-preview">
+          <h4>Backup preview</h4>
+          <ul>
+            <li><strong>{preview.user.habits.length}</strong> habits ({duplicateCount} already in your account)</li>
+            <li><strong>{completionCount}</strong> completions</li>
+            <li><strong>{Object.keys(preview.user.moods).length}</strong> moods and <strong>{Object.keys(preview.user.reflections).length}</strong> reflections</li>
+            {preview.exportedAt && <li>Exported {new Date(preview.exportedAt).toLocaleString()}</li>}
+            {preview.issues.length > 0 && <li className="import-warning">{preview.issues.length} damaged entr{preview.issues.length === 1 ? 'y was' : 'ies were'} repaired or skipped</li>}
+          </ul>
+          
+          <div className="import-modes">
+            <label className={mode === 'merge' ? 'selected' : ''}>
+              <input type="radio" name="import-mode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+              <span><strong>Merge</strong> — add new habits and days, keep what you already have</span>
+            </label>
+            <label className={mode === 'replace' ? 'selected' : ''}>
+              <input type="radio" name="import-mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+              <span><strong>Replace</strong> — discard your current habits, moods and reflections</span>
+            </label>
+          </div>
+          
+          <div className="modal-actions">
+            <button className="cancel-btn" onClick={() => setPreview(null)}>Cancel</button>
+            <button className="save-btn" onClick={confirmImport}>Import</button>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 }
 
-function AnalyticsView({ user, getHabitStats, getMonthlyData, getYearlyData, selectedHabit, setSelectedHabit }) {
-  const currentYear = new Date().getFullYear();
-  const currentMonth = new Date().getMonth();
-  const habitToAnalyze = selectedHabit || user.habits[0];
+function CsvExportSection({ user }) {
+  const [range, setRange] = useState({ from: '', to: getDateKey(new Date()) });
+  const [habitIds, setHabitIds] = useState(() => user.habits.map(h => h.id));
   
-  if (!habitToAnalyze) {
-    return (
-      <div className="analytics-empty">
-        <h2>No habits to analyze yet</h2>
-        <p>Create some habits to see your progress analytics!</p>
-      </div>
-    );
-  }
+  const toggleHabit = (habitId) => {
+    setHabitIds(habitIds.includes(habitId) ? habitIds.filter(id => id !== habitId) : [...habitIds, habitId]);
+  };
   
-  const stats = getHabitStats(habitToAnalyze);
-  const monthlyData = getMonthlyData(habitToAnalyze, currentMonth, currentYear);
-  const yearlyData = getYearlyData(habitToAnalyze, currentYear);
+  const suffix = `${range.from || 'start'}-to-${range.to || 'today'}`;
 
   return (
-    <div className="analytics-view">
-      <div className="analytics-header">
-        <div>
-          <h2>Analytics Dashboard</h2>
-          <p>Track your progress and identify patterns</p>
-        </div>
-        
-        <select value={habitToAnalyze.id} onChange={(e) => { const habit = user.habits.find(h => h.id === e.target.value); setSelectedHabit(habit); }} className="habit-select">
-          {user.habits.map(habit => (
-            <option key={habit.id} value={habit.id}>{habit.name}</option>
-          ))}
-        </select>
-      </div>
+    <div className="settings-section">
+      <h3>Spreadsheet Export</h3>
+      <p className="settings-hint">Download CSV files for analysis in Excel, Numbers or Google Sheets.</p>
       
-      <div className="stats-overview">
-        <div className="stat-box">
-          <div className="stat-icon">✅</div>
-          <div className="stat-info">
-            <div className="stat-number">{stats.totalCompletions}</div>
-            <div className="stat-text">Total Completions</div>
-          </div>
-        </div>
-        
-        <div className="stat-box">
-          <div className="stat-icon">📊</div>
-          <div className="stat-info">
-            <div className="stat-number">{stats.completionRate}%</div>
-            <div className="stat-text">Completion Rate</div>
-          </div>
-        </div>
-        
-        <div className="stat-box">
-          <div className="stat-icon">🔥</div>
-          <div className="stat-info">
-            <div className="stat-number">{stats.currentStreak}</div>
-            <div className="stat-text">Current Streak</div>
-          </div>
+      <div className="csv-range">
+        <div className="form-field">
+          <label>From</label>
+          <input type="date" value={range.from} max={range.to || undefined} onChange={(e) => setRange({ ...range, from: e.target.value })} />
         </div>
-        
-        <div className="stat-box">
-          <div className="stat-icon">🏆</div>
-          <div className="stat-info">
-            <div className="stat-number">{stats.longestStreak}</div>
-            <div className="stat-text">Longest Streak</div>
-          </div>
+        <div className="form-field">
+          <label>To</label>
+          <input type="date" value={range.to} min={range.from || undefined} onChange={(e) => setRange({ ...range, to: e.target.value })} />
         </div>
       </div>
       
-      <div className="charts-grid">
-        <div className="chart-container">
-          <h3>Monthly Progress</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <AreaChart data={monthlyData}>
-              <defs>
-                <linearGradient id="colorCompleted" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor="var(--accent)" stopOpacity={0.8}/>
-                  <stop offset="95%" stopColor="var(--accent)" stopOpacity={0}/>
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
-              <XAxis dataKey="day" stroke="var(--text-secondary)" />
-              <YAxis stroke="var(--text-secondary)" />
-              <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '2px solid var(--border)', borderRadius: '8px', color: 'var(--text)' }} />
-              <Area type="monotone" dataKey="completed" stroke="var(--accent)" fillOpacity={1} fill="url(#colorCompleted)" />
-            </AreaChart>
-          </ResponsiveContainer>
-        </div>
-        
-        <div className="chart-container">
-          <h3>Yearly Overview</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={yearlyData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
-              <XAxis dataKey="month" stroke="var(--text-secondary)" />
-              <YAxis stroke="var(--text-secondary)" />
-              <Tooltip contentStyle={{ background: 'var(--bg-secondary)', border: '2px solid var(--border)', borderRadius: '8px', color: 'var(--text)' }} />
-              <Bar dataKey="completionRate" fill="var(--accent)" radius={[8, 8, 0, 0]} />
-            </BarChart>
-          </ResponsiveContainer>
+      {user.habits.length > 0 && (
+        <div className="form-field">
+          <label>Habits</label>
+          <div className="csv-habits">
+            {user.habits.map(habit => (
+              <button key={habit.id} type="button" className={`day-btn ${habitIds.includes(habit.id) ? 'selected' : ''}`} onClick={() => toggleHabit(habit.id)}>
+                {habit.name}
+              </button>
+            ))}
+          </div>
         </div>
+      )}
+      
+      <div className="settings-actions">
+        <button className="add-btn" disabled={habitIds.length === 0} onClick={() => downloadCSV(`momentum-completions-${suffix}.csv`, buildCompletionRows(user, range, habitIds))}>Completions CSV</button>
+        <button className="add-btn" onClick={() => downloadCSV(`momentum-moods-${suffix}.csv`, buildMoodRows(user, range))}>Moods CSV</button>
+        <button className="add-btn" onClick={() => downloadCSV(`momentum-reflections-${suffix}.csv`, buildReflectionRows(user, range))}>Reflections CSV</button>
       </div>
     </div>
   );
 }
 
-function HabitsManager({ user, onAddHabit, onEditHabit, onDeleteHabit, getHabitStats }) {
+function HistoryImportSection({ user, onImport }) {
+  const [source, setSource] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [excluded, setExcluded] = useState([]);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length === 0) return;
+    setMessage(null);
+
+    const parsed = await Promise.all(files.map(async file => ({ name: file.name, rows: parseCSV(await file.text()) })));
+    const details = parsed.find(p => p.rows.length > 0 && isLoopHabitsFile(p.rows[0]));
+    const data = parsed.find(p => p !== details && p.rows.length > 1);
+    if (!data) {
+      setSource(null);
+      setMessage({ type: 'error', text: details ? 'Habits.csv only describes habits. Select Checkmarks.csv as well.' : 'No rows were found in the selected file.' });
+      return;
+    }
+
+    setSource({ filename: data.name, rows: data.rows, details: details ? readLoopHabitDetails(details.rows) : null });
+    setMapping(guessImportMapping(data.rows[0], data.name));
+    setExcluded([]);
+  };
+
+  const header = source?.rows[0] || [];
+  const result = source ? buildImportedHabits(source.rows, mapping) : null;
+  const habits = result ? result.habits.map(h => ({ ...h, ...source.details?.get(h.name) })) : [];
+  const existingNames = new Set(user.habits.map(h => h.name.trim().toLowerCase()));
+  const selected = habits.filter(h => !excluded.includes(h.name));
+
+  const toggleHabit = (name) => {
+    setExcluded(excluded.includes(name) ? excluded.filter(n => n !== name) : [...excluded, name]);
+  };
+
+  const confirmImport = () => {
+    onImport(selected);
+    setSource(null);
+    setMessage({ type: 'success', text: `Imported ${selected.length} habit${selected.length === 1 ? '' : 's'}.` });
+  };
+
+  const columnSelect = (key, { optional } = {}) => (
+    <select value={mapping[key]} onChange={(e) => setMapping({ ...mapping, [key]: Number(e.target.value) })}>
+      {optional && <option value={-1}>(none, every row is a completion)</option>}
+      {header.map((name, i) => <option key={i} value={i}>{name || `Column ${i + 1}`}</option>)}
+    </select>
+  );
+
   return (
-    <div className="habits-manager">
-      <div className="manager-header">
-        <div>
-          <h2>Manage Your Habits</h2>
-          <p>Edit, organize, and track all your habits</p>
-        </div>
-        <button className="add-habit-btn" onClick={onAddHabit}>+ Add New Habit</button>
+    <div className="settings-section">
+      <h3>Import From Other Apps</h3>
+      <p className="settings-hint">
+        Bring your history from another tracker. Select Loop Habit Tracker's <code>Checkmarks.csv</code> (add <code>Habits.csv</code> for descriptions),
+        or any CSV with one column per habit or one <code>date,habit,value</code> row per check-in.
+      </p>
+      
+      <div className="settings-actions">
+        <button className="cancel-btn" onClick={() => fileInputRef.current.click()}>Choose CSV files…</button>
+        <input ref={fileInputRef} type="file" accept=".csv,text/csv" multiple onChange={handleFiles} hidden />
       </div>
       
-      {user.habits.length === 0 ? (
-        <div className="empty-habits">
-          <div className="empty-icon">📋</div>
-          <h3>No habits yet</h3>
-          <p>Start building better habits today!</p>
-          <button className="create-first-btn" onClick={onAddHabit}>Create Your First Habit</button>
-        </div>
-      ) : (
-        <div className="habits-grid">
-          {user.habits.map(habit => {
-            const stats = getHabitStats(habit);
-            return (
-              <div key={habit.id} className="habit-detail-card">
-                <div className="habit-detail-header">
-                  <h3>{habit.name}</h3>
-                  <div className="habit-actions-menu">
-                    <button onClick={() => onEditHabit(habit)} className="edit-icon">✏️</button>
-                    <button onClick={() => { if (confirm(`Delete "${habit.name}"?`)) onDeleteHabit(habit.id); }} className="delete-icon">🗑️</button>
-                  </div>
-                </div>
-                
-                {habit.description && <p className="habit-description">{habit.description}</p>}
-                
-                <div className="habit-meta-info">
-                  <span className="meta-badge">{habit.frequency === 'daily' ? 'Daily' : 'Weekly'}</span>
-                  <span className="meta-badge difficulty">{habit.difficulty || 'medium'}</span>
+      {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
+      
+      {source && (
+        <div className="import-preview">
+          <h4>Field mapping for {source.filename}</h4>
+          <div className="mapping-grid">
+            <div className="form-field">
+              <label>Layout</label>
+              <select value={mapping.layout} onChange={(e) => setMapping({ ...mapping, layout: e.target.value, habitColumn: mapping.habitColumn ?? 1, valueColumn: mapping.valueColumn ?? -1 })}>
+                <option value="wide">One column per habit</option>
+                <option value="long">One row per date and habit</option>
+              </select>
+            </div>
+            <div className="form-field">
+              <label>Date column</label>
+              {columnSelect('dateColumn')}
+            </div>
+            {mapping.layout === 'long' && (
+              <>
+                <div className="form-field">
+                  <label>Habit column</label>
+                  {columnSelect('habitColumn')}
                 </div>
-                
-                <div className="habit-stats-grid">
-                  <div className="mini-stat">
-                    <div className="mini-stat-value">{stats.totalCompletions}</div>
-                    <div className="mini-stat-label">Completions</div>
-                  </div>
-                  <div className="mini-stat">
-                    <div className="mini-stat-value">{stats.completionRate}%</div>
-                    <div className="mini-stat-label">Success Rate</div>
-                  </div>
-                  <div className="mini-stat">
-                    <div className="mini-stat-value">{stats.currentStreak}</div>
-                    <div className="mini-stat-label">Current Streak</div>
-                  </div>
-                  <div className="mini-stat">
-                    <div className="mini-stat-value">{stats.longestStreak}</div>
-                    <div className="mini-stat-label">Best Streak</div>
-                  </div>
+                <div className="form-field">
+                  <label>Value column</label>
+                  {columnSelect('valueColumn', { optional: true })}
                 </div>
-              </div>
-            );
-          })}
+              </>
+            )}
+            <div className="form-field">
+              <label>Counts as done</label>
+              <select value={mapping.rule} onChange={(e) => setMapping({ ...mapping, rule: e.target.value })}>
+                <option value="positive">Yes/true/x or any positive number</option>
+                <option value="loop">Loop checkmark codes (manual checks only)</option>
+              </select>
+            </div>
+          </div>
+          
+          <div className="mapping-sample">
+            <table>
+              <thead>
+                <tr>{header.map((name, i) => <th key={i}>{name}</th>)}</tr>
+              </thead>
+              <tbody>
+                {source.rows.slice(1, 4).map((row, r) => (
+                  <tr key={r}>{header.map((_, i) => <td key={i}>{row[i]}</td>)}</tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          
+          <h4>Habits found</h4>
+          {habits.length === 0 ? (
+            <p className="settings-hint">No habits match this mapping yet.</p>
+          ) : (
+            <div className="import-habits">
+              {habits.map(habit => {
+                const dates = Object.keys(habit.completions).sort();
+                return (
+                  <label key={habit.name} className={excluded.includes(habit.name) ? '' : 'selected'}>
+                    <input type="checkbox" checked={!excluded.includes(habit.name)} onChange={() => toggleHabit(habit.name)} />
+                    <span>
+                      <strong>{habit.name}</strong> · {dates.length} completion{dates.length === 1 ? '' : 's'}
+                      {dates.length > 0 && <> · {dates[0]} to {dates[dates.length - 1]}</>}
+                      {existingNames.has(habit.name.toLowerCase()) && <em> · merges into your existing habit</em>}
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          )}
+          {result.skippedRows > 0 && <p className="import-warning">{result.skippedRows} row{result.skippedRows === 1 ? '' : 's'} without a readable date will be skipped.</p>}
+          
+          <div className="modal-actions">
+            <button className="cancel-btn" onClick={() => setSource(null)}>Cancel</button>
+            <button className="save-btn" disabled={selected.length === 0} onClick={confirmImport}>Import {selected.length} habit{selected.length === 1 ? '' : 's'}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const PRUNE_AGES = [
+  { months: 3, label: '3 months' },
+  { months: 6, label: '6 months' },
+  { months: 12, label: '1 year' },
+  { months: 24, label: '2 years' }
+];
+
+const QUARANTINE_LABELS = {
+  'parse-error': 'Unreadable data',
+  'invalid-records': 'Damaged records',
+  'migration-failed': 'Data that could not be upgraded',
+  unknown: 'Data set aside by an older version'
+};
+
+function StorageSection({ user, saveError, onPruneReflections, onCompactCompletions }) {
+  const [estimate, setEstimate] = useState(null);
+  const [copies, setCopies] = useState([]);
+  const [months, setMonths] = useState(12);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    storage.estimateUsage().then(setEstimate);
+    storage.listQuarantined().then(setCopies);
+  }, [user, saveError]);
+
+  const cutoffDate = new Date();
+  cutoffDate.setMonth(cutoffDate.getMonth() - months);
+  const cutoff = getDateKey(cutoffDate);
+  cutoffDate.setDate(cutoffDate.getDate() - 1);
+  const exportRange = { from: '', to: getDateKey(cutoffDate) };
+
+  const oldReflections = countBefore(user.reflections, cutoff);
+  const oldCompletions = user.habits.reduce((sum, h) => sum + countBefore(h.completions, cutoff), 0);
+  const completionBytes = measureBytes(user.habits.map(h => h.completions));
+  const percent = estimate?.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : null;
+
+  const pruneReflections = () => {
+    if (!confirm(`Download and then remove ${oldReflections} reflections written before ${cutoff}?`)) return;
+    downloadCSV(`momentum-reflections-before-${cutoff}.csv`, buildReflectionRows(user, exportRange));
+    onPruneReflections(cutoff);
+    setMessage({ type: 'success', text: `Removed ${oldReflections} reflections. The CSV has your copy.` });
+  };
+
+  const compactCompletions = () => {
+    if (!confirm(`Download and then remove ${oldCompletions} check-offs from before ${cutoff}? Best streaks are kept.`)) return;
+    downloadCSV(`momentum-completions-before-${cutoff}.csv`, buildCompletionRows(user, exportRange));
+    onCompactCompletions(cutoff);
+    setMessage({ type: 'success', text: `Removed ${oldCompletions} check-offs. The CSV has your copy.` });
+  };
+
+  const downloadCopy = (copy) => {
+    downloadFile(`momentum-raw-data-${(copy.detectedAt || copy.id).replace(/[:.]/g, '-')}.json`, copy.raw, 'application/json');
+  };
+
+  const deleteCopy = async (copy) => {
+    if (!confirm('Delete this copy of damaged data? Download it first if you may still need it.')) return;
+    await storage.deleteQuarantined(copy.id);
+    setCopies(await storage.listQuarantined());
+    storage.estimateUsage().then(setEstimate);
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Storage</h3>
+      {saveError === 'quota' && (
+        <div className="settings-message error">Storage is full. Free up space below; your changes are saved as soon as there is room.</div>
+      )}
+
+      {estimate ? (
+        <div className="storage-meter">
+          <div className="storage-meter-bar">
+            <div className="storage-meter-fill" style={{ width: `${percent || 0}%` }} />
+          </div>
+          <span>{formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used{percent !== null && ` (${percent.toFixed(1)}%)`}</span>
         </div>
+      ) : (
+        <p className="settings-hint">This browser does not report how much storage is in use.</p>
+      )}
+
+      <p className="settings-hint">
+        Your reflections take up {formatBytes(measureBytes(user.reflections))} and your check-off history {formatBytes(completionBytes)}.
+        Old entries can be downloaded as CSV and then removed to free up space.
+      </p>
+
+      <div className="form-field">
+        <label>Older than</label>
+        <select value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+          {PRUNE_AGES.map(age => <option key={age.months} value={age.months}>{age.label}</option>)}
+        </select>
+      </div>
+
+      <div className="settings-actions">
+        <button className="add-btn" disabled={oldReflections === 0} onClick={pruneReflections}>
+          Export &amp; remove {oldReflections} reflections
+        </button>
+        <button className="add-btn" disabled={oldCompletions === 0} onClick={compactCompletions}>
+          Export &amp; compact {oldCompletions} check-offs
+        </button>
+      </div>
+
+      {copies.length > 0 && (
+        <>
+          <p className="settings-hint">
+            Copies of damaged data set aside during recovery. They are kept until you delete them.
+          </p>
+          <ul className="quarantine-list">
+            {copies.map(copy => (
+              <li key={copy.id}>
+                <span>
+                  {QUARANTINE_LABELS[copy.reason] || QUARANTINE_LABELS.unknown}
+                  {copy.detectedAt && ` · ${new Date(copy.detectedAt).toLocaleDateString()}`} · {formatBytes(new Blob([copy.raw]).size)}
+                </span>
+                <button className="restore-btn" onClick={() => downloadCopy(copy)}>Download</button>
+                <button className="purge-btn" onClick={() => deleteCopy(copy)}>Delete</button>
+              </li>
+            ))}
+          </ul>
+        </>
       )}
+
+      {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
     </div>
   );
 }
@@ -2142,6 +6741,39 @@ function GlobalStyles({ theme }) {
       @keyframes slideIn { from { opacity: 0; transform: translateX(-20px); } to { opacity: 1; transform: translateX(0); } }
       @keyframes slideUp { from { opacity: 0; transform: translateY(30px); } to { opacity: 1; transform: translateY(0); } }
       
+      .recovery-screen { min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 2rem; }
+      .recovery-card { background: var(--bg-secondary); border: 2px solid var(--border); border-radius: 20px; padding: 2.5rem; max-width: 620px; width: 100%; display: flex; flex-direction: column; gap: 1rem; animation: slideUp 0.4s ease; }
+      .recovery-icon { font-size: 3rem; }
+      .recovery-card h2 { font-size: 1.6rem; font-weight: 800; }
+      .recovery-card p { color: var(--text-secondary); line-height: 1.6; }
+      .recovery-card code { background: var(--bg-tertiary); padding: 0.1rem 0.4rem; border-radius: 4px; font-size: 0.85rem; }
+      .recovery-issues { background: var(--bg-tertiary); border-radius: 12px; padding: 1rem 1rem 1rem 2rem; display: flex; flex-direction: column; gap: 0.4rem; font-size: 0.9rem; color: var(--text); }
+      .recovery-summary { font-weight: 600; color: var(--text) !important; }
+      .recovery-actions { display: flex; gap: 1rem; margin-top: 0.5rem; }
+      .lock-card { max-width: 420px; align-items: center; text-align: center; }
+      .lock-card .form-field { width: 100%; }
+      .lock-card .save-btn { width: 100%; }
+      .avatar { flex-shrink: 0; border-radius: 50%; color: #fff; font-weight: 800; display: flex; align-items: center; justify-content: center; }
+      .avatar--sm { width: 36px; height: 36px; font-size: 0.85rem; }
+      .avatar--md { width: 48px; height: 48px; font-size: 1.1rem; }
+      .avatar--lg { width: 72px; height: 72px; font-size: 1.8rem; }
+      .profile-picker { max-width: 480px; text-align: center; }
+      .profile-picker-theme { position: fixed; top: 1.5rem; right: 1.5rem; }
+      .profile-list { list-style: none; display: flex; flex-direction: column; gap: 0.75rem; text-align: left; }
+      .profile-item { display: flex; align-items: center; gap: 0.5rem; }
+      .profile-open { flex: 1; display: flex; align-items: center; gap: 1rem; background: var(--bg-tertiary); border: 2px solid var(--border); border-radius: 14px; padding: 0.8rem 1rem; cursor: pointer; color: var(--text); font-family: inherit; text-align: left; transition: all 0.3s ease; }
+      .profile-open:hover:not(:disabled) { border-color: var(--accent); transform: translateY(-2px); }
+      .profile-open:disabled { cursor: wait; }
+      .profile-details { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+      .profile-name { font-weight: 700; }
+      .profile-email { color: var(--text-secondary); font-size: 0.85rem; overflow: hidden; text-overflow: ellipsis; }
+      .profile-status { color: var(--text-secondary); font-size: 0.8rem; font-weight: 600; }
+      .profile-forget { background: none; border: none; color: var(--text-secondary); font-size: 1.4rem; cursor: pointer; padding: 0.25rem 0.5rem; }
+      .profile-forget:hover { color: var(--accent-secondary); }
+      .lock-pin { text-align: center; font-size: 1.4rem !important; letter-spacing: 0.5em; }
+      .lock-links { display: flex; gap: 1.5rem; }
+      .lock-links button { background: none; border: none; color: var(--accent); font-weight: 600; cursor: pointer; font-family: inherit; }
+      
       .main-content { max-width: 1400px; margin: 0 auto; padding: 2rem; }
       
       .header { background: var(--bg-secondary); border-bottom: 2px solid var(--border); padding: 1.2rem 2rem; position: sticky; top: 0; z-index: 100; backdrop-filter: blur(10px); }
@@ -2177,6 +6809,7 @@ function GlobalStyles({ theme }) {
       .section-header h2 { font-size: 1.8rem; font-weight: 800; }
       .add-btn { background: var(--accent); color: white; border: none; padding: 0.7rem 1.5rem; border-radius: 10px; font-weight: 600; cursor: pointer; transition: all 0.3s ease; font-family: inherit; }
       .add-btn:hover { transform: translateY(-2px); box-shadow: 0 6px 20px var(--shadow); }
+      .paused-note { color: var(--text-secondary); font-weight: 600; margin-bottom: 1rem; }
       .empty-state { background: var(--bg-secondary); border: 2px dashed var(--border); border-radius: 16px; padding: 3rem; text-align: center; }
       .empty-state p { color: var(--text-secondary); margin-bottom: 1.5rem; font-size: 1.1rem; }
       .cta-btn { background: linear-gradient(135deg, var(--accent), var(--accent-secondary)); color: white; border: none; padding: 1rem 2rem; border-radius: 12px; font-weight: 700; font-size: 1rem; cursor: pointer; transition: all 0.3s ease; font-family: inherit; }
@@ -2194,6 +6827,34 @@ function GlobalStyles({ theme }) {
       .habit-meta { display: flex; gap: 1rem; font-size: 0.85rem; }
       .habit-frequency { color: var(--text-secondary); background: var(--bg-tertiary); padding: 0.2rem 0.6rem; border-radius: 6px; font-weight: 600; }
       .habit-streak { color: var(--warning); font-weight: 700; }
+      .habit-amount { color: var(--accent); font-weight: 700; }
+      .habit-quota { color: var(--text-secondary); font-weight: 600; }
+      .habit-quota.met { color: var(--success); }
+      .habit-main--static { cursor: default; }
+      .habit-shield { width: 32px; height: 32px; flex-shrink: 0; display: flex; align-items: center; justify-content: center; font-size: 1.3rem; }
+      .habit-card.slipped { border-color: var(--accent-secondary); }
+      .habit-slipped { color: var(--accent-secondary); font-weight: 700; }
+      .habit-card.skipped { border-style: dashed; opacity: 0.8; }
+      .habit-skipped { color: var(--text-secondary); font-weight: 700; }
+      .habit-frozen { color: var(--accent); font-weight: 700; }
+      .habit-slip-actions { display: flex; align-items: center; gap: 0.5rem; margin-right: 0.5rem; }
+      .habit-slip-actions .cancel-btn { flex: none; padding: 0.45rem 0.8rem; font-size: 0.85rem; }
+      .slip-btn { background: var(--bg-tertiary); border: 2px solid var(--border); color: var(--text); padding: 0.45rem 0.8rem; border-radius: 8px; font-weight: 600; font-size: 0.85rem; cursor: pointer; font-family: inherit; transition: all 0.3s ease; }
+      .slip-btn:hover { border-color: var(--accent-secondary); color: var(--accent-secondary); }
+      .habit-ring { position: relative; width: 32px; height: 32px; flex-shrink: 0; display: flex; align-items: center; justify-content: center; }
+      .habit-ring svg { position: absolute; inset: 0; }
+      .habit-ring .checkmark { color: var(--success); font-size: 0.9rem; }
+      .habit-timer { display: flex; align-items: center; gap: 0.4rem; margin-right: 0.5rem; }
+      .habit-timer button { width: 32px; height: 32px; border-radius: 50%; background: var(--bg-tertiary); border: 2px solid var(--border); color: var(--text); font-size: 0.8rem; cursor: pointer; transition: all 0.3s ease; }
+      .habit-timer button:hover { border-color: var(--accent); }
+      .timer-clock { font-variant-numeric: tabular-nums; font-weight: 700; color: var(--text-secondary); min-width: 3.5rem; text-align: right; }
+      .timer-clock.running { color: var(--accent); }
+      .habit-stepper { display: flex; align-items: center; gap: 0.4rem; margin-right: 0.5rem; }
+      .habit-stepper button { width: 32px; height: 32px; border-radius: 8px; background: var(--bg-tertiary); border: 2px solid var(--border); color: var(--text); font-size: 1.1rem; font-weight: 700; cursor: pointer; font-family: inherit; transition: all 0.3s ease; }
+      .habit-stepper button:hover:not(:disabled) { border-color: var(--accent); color: var(--accent); }
+      .habit-stepper button:disabled { opacity: 0.4; cursor: not-allowed; }
+      .habit-stepper input { width: 64px; background: var(--bg-tertiary); border: 2px solid var(--border); border-radius: 8px; padding: 0.35rem; text-align: center; color: var(--text); font-family: inherit; font-weight: 700; }
+      .habit-stepper input:focus { outline: none; border-color: var(--accent); }
       .habit-actions { position: relative; }
       .menu-btn { background: none; border: none; color: var(--text-secondary); font-size: 1.5rem; cursor: pointer; padding: 0.3rem 0.6rem; border-radius: 6px; transition: all 0.3s ease; }
       .menu-btn:hover { background: var(--bg-tertiary); color: var(--text); }
@@ -2217,6 +6878,12 @@ function GlobalStyles({ theme }) {
       .reflection-input { width: 100%; min-height: 150px; background: var(--bg-tertiary); border: 2px solid var(--border); border-radius: 12px; padding: 1rem; font-size: 0.95rem; color: var(--text); resize: vertical; font-family: inherit; transition: all 0.3s ease; }
       .reflection-input:focus { outline: none; border-color: var(--accent); box-shadow: 0 0 0 4px var(--shadow); }
       
+      .undo-toast { position: fixed; bottom: 2rem; left: 50%; transform: translateX(-50%); background: var(--text); color: var(--bg); border-radius: 12px; padding: 0.8rem 0.8rem 0.8rem 1.2rem; display: flex; align-items: center; gap: 1rem; box-shadow: 0 12px 32px rgba(0, 0, 0, 0.3); z-index: 900; animation: slideUp 0.3s ease; max-width: calc(100vw - 2rem); }
+      .undo-toast-message { font-weight: 600; font-size: 0.95rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .undo-toast button { background: none; border: none; color: var(--accent); font-weight: 800; font-size: 0.95rem; cursor: pointer; padding: 0.3rem 0.6rem; border-radius: 6px; font-family: inherit; }
+      .undo-toast button:hover { background: rgba(128, 128, 128, 0.2); }
+      .undo-toast .undo-toast-close { color: var(--bg); opacity: 0.6; font-size: 1.3rem; line-height: 1; }
+      
       .modal-overlay { position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0, 0, 0, 0.7); display: flex; align-items: center; justify-content: center; z-index: 1000; padding: 1rem; animation: fadeIn 0.3s ease; }
       .modal-content { background: var(--bg-secondary); border: 2px solid var(--border); border-radius: 20px; padding: 2rem; max-width: 550px; width: 100%; max-height: 90vh; overflow-y: auto; animation: slideUp 0.4s ease; }
       .modal-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; }
@@ -2224,6 +6891,7 @@ function GlobalStyles({ theme }) {
       .close-btn { background: none; border: none; font-size: 2rem; color: var(--text-secondary); cursor: pointer; width: 36px; height: 36px; display: flex; align-items: center; justify-content: center; border-radius: 8px; transition: all 0.3s ease; }
       .close-btn:hover { background: var(--bg-tertiary); color: var(--text); }
       .modal-form { display: flex; flex-direction: column; gap: 1.5rem; }
+      .form-row { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
       .form-field { display: flex; flex-direction: column; gap: 0.6rem; }
       .form-field label { font-weight: 700; font-size: 0.95rem; color: var(--text); }
       .form-field input, .form-field textarea, .form-field select { background: var(--bg-tertiary); border: 2px solid var(--border); border-radius: 10px; padding: 0.9rem 1.1rem; font-size: 1rem; color: var(--text); font-family: inherit; transition: all 0.3s ease; }
@@ -2252,6 +6920,7 @@ function GlobalStyles({ theme }) {
       .calendar-day.today { border-color: var(--accent); background: linear-gradient(135deg, rgba(0, 212, 255, 0.1), rgba(255, 0, 110, 0.1)); }
       .calendar-day.selected { background: var(--accent); border-color: var(--accent); }
       .calendar-day.selected .day-number { color: white; }
+      .calendar-day.paused:not(.selected) { background: repeating-linear-gradient(135deg, var(--bg-tertiary), var(--bg-tertiary) 6px, var(--bg-secondary) 6px, var(--bg-secondary) 12px); border-style: dashed; }
       .day-number { font-weight: 700; font-size: 1rem; color: var(--text); }
       .day-progress { height: 3px; background: var(--success); border-radius: 2px; margin-top: auto; margin-bottom: 0.3rem; transition: width 0.4s ease; }
       .day-indicators { display: flex; gap: 0.2rem; font-size: 0.8rem; }
@@ -2275,6 +6944,10 @@ function GlobalStyles({ theme }) {
       .stat-text { font-size: 0.9rem; color: var(--text-secondary); font-weight: 600; }
       .charts-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(400px, 1fr)); gap: 2rem; }
       .chart-container { background: var(--bg-secondary); border: 2px solid var(--border); border-radius: 16px; padding: 1.5rem; }
+      .relapse-list { list-style: none; display: flex; flex-direction: column; gap: 0.5rem; }
+      .relapse-list li { display: grid; grid-template-columns: 1fr 1fr 1.5fr; gap: 1rem; padding: 0.7rem 1rem; background: var(--bg-tertiary); border-radius: 10px; font-size: 0.95rem; }
+      .relapse-date { font-weight: 700; }
+      .relapse-run { color: var(--text-secondary); text-align: right; }
       .chart-container h3 { font-size: 1.2rem; font-weight: 700; margin-bottom: 1.5rem; color: var(--text); }
       
       .habits-manager { display: flex; flex-direction: column; gap: 2rem; }
@@ -2297,16 +6970,94 @@ function GlobalStyles({ theme }) {
       .habit-actions-menu { display: flex; gap: 0.5rem; }
       .habit-actions-menu button { background: var(--bg-tertiary); border: none; border-radius: 8px; width: 36px; height: 36px; cursor: pointer; transition: all 0.3s ease; font-size: 1.1rem; }
       .habit-actions-menu button:hover { transform: scale(1.1); }
-      .edit-icon:hover { background: rgba(0, 212, 255, 0.2); }
-      .delete-icon:hover { background: rgba(255, 0, 110, 0.2); }
+      .edit-icon:hover, .calendar-icon:hover, .pause-icon:hover { background: rgba(0, 212, 255, 0.2); }
+      .manager-actions { display: flex; gap: 1rem; align-items: center; }
+      .calendar-export-btn { background: var(--bg-tertiary); border: 2px solid var(--border); color: var(--text); padding: 1rem 1.5rem; border-radius: 12px; font-weight: 700; cursor: pointer; transition: all 0.3s ease; font-family: inherit; }
+      .calendar-export-btn:hover { border-color: var(--accent); transform: translateY(-2px); }
+      .delete-icon:hover, .archive-icon:hover { background: rgba(255, 0, 110, 0.2); }
+      .archived-section { display: flex; flex-direction: column; gap: 1rem; padding-top: 2rem; border-top: 2px solid var(--border); }
+      .archived-section h3 { font-size: 1.5rem; font-weight: 800; }
+      .archived-section p { color: var(--text-secondary); }
+      .archived-list { display: flex; flex-direction: column; gap: 0.8rem; }
+      .archived-habit { background: var(--bg-secondary); border: 2px dashed var(--border); border-radius: 14px; padding: 1rem 1.2rem; display: flex; align-items: center; justify-content: space-between; gap: 1rem; flex-wrap: wrap; }
+      .archived-habit-info h4 { font-size: 1.05rem; font-weight: 700; margin-bottom: 0.2rem; }
+      .archived-habit-info span { color: var(--text-secondary); font-size: 0.85rem; }
+      .archived-habit-actions { display: flex; gap: 0.5rem; }
+      .restore-btn, .purge-btn { background: var(--bg-tertiary); border: 2px solid var(--border); color: var(--text); padding: 0.5rem 1rem; border-radius: 10px; font-weight: 600; font-size: 0.85rem; cursor: pointer; transition: all 0.3s ease; font-family: inherit; }
+      .restore-btn:hover { border-color: var(--accent); color: var(--accent); }
+      .purge-btn:hover { border-color: var(--accent-secondary); color: var(--accent-secondary); }
       .habit-description { color: var(--text-secondary); font-size: 0.95rem; margin-bottom: 1rem; line-height: 1.5; }
       .habit-meta-info { display: flex; gap: 0.5rem; margin-bottom: 1.5rem; }
       .meta-badge { background: var(--bg-tertiary); padding: 0.4rem 0.8rem; border-radius: 8px; font-size: 0.85rem; font-weight: 600; color: var(--text-secondary); text-transform: capitalize; }
+      .meta-badge.paused { color: var(--warning); text-transform: none; }
+      .pause-list { display: flex; flex-direction: column; gap: 0.5rem; }
+      .pause-item { display: flex; align-items: center; justify-content: space-between; gap: 1rem; background: var(--bg-tertiary); border-radius: 10px; padding: 0.6rem 0.8rem; font-weight: 600; }
+      .pause-item .cancel-btn { flex: none; padding: 0.5rem 1rem; }
       .habit-stats-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; }
       .mini-stat { background: var(--bg-tertiary); border-radius: 10px; padding: 1rem; text-align: center; }
       .mini-stat-value { font-size: 1.5rem; font-weight: 800; color: var(--text); margin-bottom: 0.3rem; }
       .mini-stat-label { font-size: 0.8rem; color: var(--text-secondary); font-weight: 600; }
       
+      .settings-view { display: flex; flex-direction: column; gap: 2rem; max-width: 900px; }
+      .settings-section { background: var(--bg-secondary); border: 2px solid var(--border); border-radius: 16px; padding: 1.5rem; display: flex; flex-direction: column; gap: 1rem; }
+      .settings-section h3 { font-size: 1.3rem; font-weight: 800; }
+      .settings-hint { color: var(--text-secondary); font-size: 0.95rem; line-height: 1.5; }
+      .settings-actions { display: flex; gap: 1rem; flex-wrap: wrap; }
+      .settings-actions .cancel-btn { flex: none; padding: 0.7rem 1.5rem; }
+      .storage-meter { display: flex; flex-direction: column; gap: 0.5rem; font-weight: 600; }
+      .storage-meter-bar { height: 10px; background: var(--bg-tertiary); border-radius: 5px; overflow: hidden; }
+      .storage-meter-fill { height: 100%; background: linear-gradient(90deg, var(--accent), var(--accent-secondary)); }
+      .quarantine-list { list-style: none; display: flex; flex-direction: column; gap: 0.5rem; }
+      .quarantine-list li { display: flex; align-items: center; gap: 0.75rem; flex-wrap: wrap; }
+      .quarantine-list span { flex: 1; font-weight: 600; }
+      .save-error-banner { display: flex; align-items: center; justify-content: space-between; gap: 1rem; flex-wrap: wrap; padding: 0.9rem 2rem; background: rgba(255, 0, 110, 0.12); border-bottom: 2px solid var(--accent-secondary); color: var(--text); font-weight: 600; }
+      .save-error-actions { display: flex; gap: 0.5rem; }
+      .save-error-actions button { background: var(--accent-secondary); color: #fff; border: none; border-radius: 8px; padding: 0.5rem 1rem; font-weight: 700; cursor: pointer; font-family: inherit; }
+      .account-form { display: flex; flex-direction: column; gap: 1rem; }
+      .account-form + .account-form { border-top: 2px solid var(--border); padding-top: 1.5rem; }
+      .account-form h4 { font-size: 1.05rem; font-weight: 700; }
+      .account-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 1rem; }
+      .recovery-codes { display: grid; grid-template-columns: repeat(2, 1fr); gap: 0.5rem 1.5rem; margin: 1.5rem 0; padding-left: 1.5rem; }
+      .recovery-codes code { font-size: 1.05rem; font-weight: 700; letter-spacing: 0.05em; }
+      .modal-content .account-checkbox { margin-top: 1.5rem; }
+      .save-btn:disabled { opacity: 0.5; cursor: not-allowed; }
+      .account-checkbox { display: flex; align-items: center; gap: 0.6rem; font-weight: 600; cursor: pointer; }
+      .danger-zone { border-color: rgba(255, 0, 110, 0.35); }
+      .sync-form { display: flex; flex-direction: column; gap: 1rem; }
+      .sync-status { padding: 0.7rem 1rem; border-radius: 10px; background: var(--bg-tertiary); font-weight: 600; font-size: 0.95rem; }
+      .sync-status--synced { color: var(--success); }
+      .sync-status--offline { color: var(--warning); }
+      .sync-status--error { color: var(--accent-secondary); }
+      .sync-key { display: flex; align-items: center; gap: 0.75rem; flex-wrap: wrap; }
+      .sync-key code { background: var(--bg-tertiary); padding: 0.5rem 0.75rem; border-radius: 8px; font-size: 0.85rem; word-break: break-all; flex: 1; }
+      .sync-key .cancel-btn { flex: none; padding: 0.5rem 1rem; }
+      .settings-message { padding: 0.7rem 1rem; border-radius: 10px; font-size: 0.9rem; font-weight: 600; }
+      .settings-message.success { background: rgba(0, 255, 135, 0.1); color: var(--success); }
+      .settings-message.error { background: rgba(255, 0, 110, 0.1); color: var(--accent-secondary); }
+      .import-preview { background: var(--bg-tertiary); border-radius: 12px; padding: 1.2rem; display: flex; flex-direction: column; gap: 1rem; animation: fadeIn 0.3s ease; }
+      .import-preview h4 { font-size: 1.05rem; font-weight: 700; }
+      .import-preview ul { padding-left: 1.2rem; display: flex; flex-direction: column; gap: 0.3rem; color: var(--text-secondary); }
+      .import-warning { color: var(--warning); }
+      .import-modes { display: flex; flex-direction: column; gap: 0.5rem; }
+      .import-modes label { display: flex; gap: 0.7rem; align-items: flex-start; padding: 0.8rem; border: 2px solid var(--border); border-radius: 10px; cursor: pointer; font-size: 0.9rem; transition: all 0.3s ease; }
+      .import-modes label.selected { border-color: var(--accent); }
+      .import-preview .modal-actions { margin-top: 0; }
+      .csv-range { display: grid; grid-template-columns: repeat(2, minmax(0, 220px)); gap: 1rem; }
+      .csv-habits { display: flex; flex-wrap: wrap; gap: 0.5rem; }
+      .csv-habits .day-btn { padding: 0.5rem 0.9rem; }
+      .settings-hint code { background: var(--bg-tertiary); padding: 0.1rem 0.4rem; border-radius: 4px; font-size: 0.85rem; }
+      .mapping-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 1rem; }
+      .mapping-grid select { background: var(--bg-secondary); }
+      .mapping-sample { overflow-x: auto; border: 2px solid var(--border); border-radius: 10px; }
+      .mapping-sample table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+      .mapping-sample th, .mapping-sample td { padding: 0.5rem 0.8rem; text-align: left; white-space: nowrap; border-bottom: 1px solid var(--border); }
+      .mapping-sample th { color: var(--text-secondary); font-weight: 700; }
+      .import-habits { display: flex; flex-direction: column; gap: 0.5rem; max-height: 280px; overflow-y: auto; }
+      .import-habits label { display: flex; gap: 0.7rem; align-items: center; padding: 0.7rem; border: 2px solid var(--border); border-radius: 10px; cursor: pointer; font-size: 0.9rem; color: var(--text-secondary); }
+      .import-habits label.selected { border-color: var(--accent); color: var(--text); }
+      .save-btn:disabled { opacity: 0.5; cursor: not-allowed; transform: none; }
+      .add-btn:disabled { opacity: 0.5; cursor: not-allowed; transform: none; box-shadow: none; }
+      
       @media (max-width: 1100px) { .dashboard-grid { grid-template-columns: 1fr; } }
       @media (max-width: 968px) { .header-content { flex-wrap: wrap; } .nav { order: 3; width: 100%; justify-content: flex-start; overflow-x: auto; } }
       @media (max-width: 768px) { .analytics-header { flex-direction: column; align-items: flex-start; } .charts-grid { grid-template-columns: 1fr; } .calendar-grid { gap: 0.3rem; } .calendar-day { padding: 0.3rem; } .day-number { font-size: 0.85rem; } .legend { flex-direction: column; gap: 0.8rem; } }